@@ -0,0 +1,359 @@
+/**
+ * Server-side Vimeo resolver for VimeoHLSPlayer's `resolver` option.
+ *
+ * Scrapes the player config and falls back to the Vimeo API, so the access
+ * token never reaches the browser. Requires Node 18+ (global fetch).
+ *
+ *   const http = require('http');
+ *   const { createVimeoHandler } = require('vimeo-hls-player/server/vimeo-proxy');
+ *
+ *   http.createServer(createVimeoHandler({
+ *     accessToken: process.env.VIMEO_ACCESS_TOKEN,
+ *     allowVideo: ['76979871', '123456789'],
+ *     allowOrigin: 'https://your-site.webflow.io'
+ *   })).listen(3000);
+ *
+ * The handler also works as Express middleware: app.get('/vimeo', handler).
+ */
+
+const PLAYER_CONFIG_PATTERNS = [
+  /window\.playerConfig\s*=\s*({.*?})\s*(?:;|<\/script>)/s,
+  /var config = ({.*?});/s
+];
+
+class ResolveError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'ResolveError';
+    this.status = status;
+  }
+}
+
+/**
+ * List HLS manifest URLs from a player config, default CDN first
+ * @param {object} hlsFiles - config.request.files.hls
+ * @returns {string[]} Manifest URLs
+ */
+function getCDNUrls(hlsFiles) {
+  const cdns = (hlsFiles && hlsFiles.cdns) || {};
+  const names = Object.keys(cdns);
+  const defaultCdn = hlsFiles && hlsFiles.default_cdn;
+
+  if (defaultCdn && cdns[defaultCdn]) {
+    names.sort((a, b) => (b === defaultCdn) - (a === defaultCdn));
+  }
+
+  return names
+    .map(name => cdns[name].url || cdns[name].avc_url)
+    .filter(Boolean);
+}
+
+/**
+ * Return the first manifest URL that actually responds
+ * @param {string[]} urls - Candidate manifest URLs
+ * @returns {Promise<string|null>}
+ */
+async function firstReachable(urls) {
+  for (const url of urls) {
+    try {
+      const response = await fetch(url);
+      // Only the status matters; release the connection instead of downloading the manifest
+      if (response.body) {
+        response.body.cancel().catch(() => {});
+      }
+      if (response.ok) {
+        return url;
+      }
+    } catch (error) {
+      // Try the next CDN
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a video from the embed player's config
+ * @param {string} videoId - Vimeo video ID
+ * @param {string|null} hash - Privacy hash for unlisted videos
+ * @param {object} options - { referer }
+ * @returns {Promise<object>}
+ */
+async function resolveFromPlayer(videoId, hash, options = {}) {
+  const embedUrl = `https://player.vimeo.com/video/${videoId}${hash ? `?h=${hash}` : ''}`;
+  const headers = options.referer ? { Referer: options.referer } : {};
+  const response = await fetch(embedUrl, { headers });
+
+  if (!response.ok) {
+    throw new ResolveError(`Player returned ${response.status}`, response.status === 404 ? 404 : 502);
+  }
+
+  const html = await response.text();
+  const configMatch = PLAYER_CONFIG_PATTERNS
+    .map(pattern => html.match(pattern))
+    .find(Boolean);
+
+  if (!configMatch) {
+    throw new ResolveError('Could not find player config');
+  }
+
+  const config = JSON.parse(configMatch[1]);
+  const urls = getCDNUrls(config.request && config.request.files && config.request.files.hls);
+  const hlsUrl = await firstReachable(urls);
+
+  if (!hlsUrl) {
+    throw new ResolveError('No reachable HLS manifest in player config');
+  }
+
+  const thumbs = (config.video && config.video.thumbs) || {};
+  const textTracks = ((config.request && config.request.text_tracks) || []).map(track => ({
+    src: new URL(track.url, 'https://player.vimeo.com').href,
+    language: track.lang,
+    label: track.label || track.lang,
+    kind: track.kind === 'captions' ? 'captions' : 'subtitles',
+    default: false
+  }));
+
+  const chapters = ((config.embed && config.embed.chapters) || []).map(chapter => ({
+    title: chapter.title,
+    startTime: chapter.timecode
+  }));
+
+  return {
+    hlsUrl,
+    fallbackUrls: urls.filter(url => url !== hlsUrl),
+    posterUrl: thumbs['1280'] || thumbs['960'] || thumbs['640'] || thumbs.base || null,
+    title: (config.video && config.video.title) || null,
+    textTracks,
+    chapters
+  };
+}
+
+/**
+ * Resolve a video through the Vimeo API
+ * @param {string} videoId - Vimeo video ID
+ * @param {string|null} hash - Privacy hash for unlisted videos
+ * @param {string} accessToken - Vimeo access token
+ * @returns {Promise<object>}
+ */
+async function resolveFromAPI(videoId, hash, accessToken) {
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  const videoPath = hash ? `${videoId}:${hash}` : videoId;
+  const response = await fetch(`https://api.vimeo.com/videos/${videoPath}`, { headers });
+
+  if (!response.ok) {
+    throw new ResolveError(`Vimeo API returned ${response.status}`, response.status === 404 ? 404 : 502);
+  }
+
+  const data = await response.json();
+  const hlsFile = (data.files || []).find(file => file.quality === 'hls');
+  const hlsUrl = (data.play && data.play.hls && data.play.hls.link) || (hlsFile && hlsFile.link);
+
+  if (!hlsUrl) {
+    throw new ResolveError('No HLS stream available for this video', 404);
+  }
+
+  const sizes = (data.pictures && data.pictures.sizes) || [];
+  let textTracks = [];
+
+  const tracksResponse = await fetch(`https://api.vimeo.com/videos/${videoPath}/texttracks`, { headers });
+  if (tracksResponse.ok) {
+    const tracks = await tracksResponse.json();
+    textTracks = (tracks.data || [])
+      .filter(track => track.link)
+      .map(track => ({
+        src: track.link,
+        language: track.language,
+        label: track.name || track.language,
+        kind: track.type === 'captions' ? 'captions' : 'subtitles',
+        default: false
+      }));
+  }
+
+  let chapters = [];
+
+  const chaptersResponse = await fetch(`https://api.vimeo.com/videos/${videoPath}/chapters`, { headers });
+  if (chaptersResponse.ok) {
+    const chapterData = await chaptersResponse.json();
+    chapters = (chapterData.data || []).map(chapter => ({
+      title: chapter.title,
+      startTime: chapter.timecode
+    }));
+  }
+
+  return {
+    hlsUrl,
+    fallbackUrls: [],
+    posterUrl: sizes.length ? sizes[sizes.length - 1].link : null,
+    title: data.name || null,
+    textTracks,
+    chapters
+  };
+}
+
+/**
+ * Resolve a Vimeo video to its HLS manifest, poster, title, text tracks and chapters.
+ * Tries the player config first, then the API when an access token is set.
+ * @param {string} videoId - Vimeo video ID
+ * @param {object} options - { hash, accessToken, referer }
+ * @returns {Promise<object>}
+ */
+async function resolveVimeoVideo(videoId, options = {}) {
+  if (!/^\d+$/.test(String(videoId))) {
+    throw new ResolveError('Invalid Vimeo video ID', 400);
+  }
+
+  const hash = options.hash && /^[a-f0-9]+$/.test(options.hash) ? options.hash : null;
+
+  try {
+    return await resolveFromPlayer(videoId, hash, options);
+  } catch (error) {
+    if (!options.accessToken) {
+      throw error;
+    }
+    console.warn(`Player config lookup failed for ${videoId}, trying API:`, error.message);
+  }
+
+  return resolveFromAPI(videoId, hash, options.accessToken);
+}
+
+/**
+ * List the videos in a Vimeo showcase (album) for VimeoHLSPlayer's playlist option
+ * @param {string} showcaseId - Showcase ID
+ * @param {object} options - { accessToken }
+ * @returns {Promise<Array>} Items as { vimeoId, title, poster, duration }
+ */
+async function resolveVimeoShowcase(showcaseId, options = {}) {
+  if (!/^\d+$/.test(String(showcaseId))) {
+    throw new ResolveError('Invalid Vimeo showcase ID', 400);
+  }
+  if (!options.accessToken) {
+    throw new ResolveError('Showcases require an access token', 500);
+  }
+
+  // The API returns at most 100 videos a page; follow paging.next for the rest
+  const videos = [];
+  let url = `https://api.vimeo.com/albums/${showcaseId}/videos?per_page=100&fields=uri,name,duration,pictures,link,player_embed_url`;
+
+  while (url) {
+    const response = await fetch(url, { headers: { Authorization: `Bearer ${options.accessToken}` } });
+
+    if (!response.ok) {
+      throw new ResolveError(`Vimeo API returned ${response.status}`, response.status === 404 ? 404 : 502);
+    }
+
+    const data = await response.json();
+    videos.push(...(data.data || []));
+    url = data.paging && data.paging.next ? `https://api.vimeo.com${data.paging.next}` : null;
+  }
+
+  return videos.map(video => {
+    const sizes = (video.pictures && video.pictures.sizes) || [];
+    // Unlisted videos only play with their privacy hash, so keep it in the ID
+    const [id, uriHash] = video.uri.split('/').pop().split(':');
+    const hashMatch = String(video.player_embed_url || video.link || '').match(/[?&]h=([a-f0-9]+)|vimeo\.com\/\d+\/([a-f0-9]+)/);
+    const hash = uriHash || (hashMatch && (hashMatch[1] || hashMatch[2]));
+    return {
+      vimeoId: hash ? `https://vimeo.com/${id}/${hash}` : id,
+      title: video.name,
+      poster: sizes.length ? sizes[sizes.length - 1].link : null,
+      duration: video.duration
+    };
+  });
+}
+
+/**
+ * Build an ID check from an allowlist option
+ * @param {Array<string|number>|Function|null} allow - IDs, or a function (id) returning a boolean
+ * @returns {Function|null} async (id) => boolean, or null when nothing is allowed
+ */
+function createAllowCheck(allow) {
+  if (typeof allow === 'function') {
+    return async id => !!(await allow(id));
+  }
+  if (Array.isArray(allow)) {
+    const ids = new Set(allow.map(String));
+    return async id => ids.has(String(id));
+  }
+  return null;
+}
+
+/**
+ * Create a Node http / Express request handler.
+ * Reads the video ID from ?id= (or the last path segment) and the privacy hash from ?h=.
+ * With ?showcase=<id> it responds with { items } for a showcase playlist instead.
+ *
+ * The access token can reach private videos, so a handler with one only
+ * resolves the videos and showcases its allowVideo / allowShowcase options
+ * name. Responses carry no CORS header unless allowOrigin is set, which keeps
+ * the endpoint to pages on its own origin.
+ * @param {object} options - { accessToken, allowVideo, allowShowcase, allowOrigin, maxAge, referer }
+ * @returns {Function} (req, res) handler
+ */
+function createVimeoHandler(options = {}) {
+  const settings = {
+    accessToken: null,
+    // Video / showcase IDs, or a function (id) returning whether it may be resolved
+    allowVideo: null,
+    allowShowcase: null,
+    allowOrigin: null,
+    // Vimeo's manifest URLs are signed and expire, so keep caching short
+    maxAge: 300,
+    referer: null,
+    ...options
+  };
+
+  const isVideoAllowed = createAllowCheck(settings.allowVideo);
+  const isShowcaseAllowed = createAllowCheck(settings.allowShowcase);
+
+  if (settings.accessToken && !isVideoAllowed) {
+    throw new Error('createVimeoHandler: an accessToken needs allowVideo, or any site could resolve your private videos with it');
+  }
+
+  return async function vimeoHandler(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const videoId = url.searchParams.get('id') || url.pathname.split('/').filter(Boolean).pop();
+
+    const send = (status, body) => {
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      if (settings.allowOrigin) {
+        res.setHeader('Access-Control-Allow-Origin', settings.allowOrigin);
+      }
+      res.setHeader('Cache-Control', status === 200 ? `public, max-age=${settings.maxAge}` : 'no-store');
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      const showcaseId = url.searchParams.get('showcase');
+      if (showcaseId) {
+        if (!isShowcaseAllowed || !(await isShowcaseAllowed(showcaseId))) {
+          throw new ResolveError('Showcase not allowed', 403);
+        }
+        send(200, { items: await resolveVimeoShowcase(showcaseId, settings) });
+        return;
+      }
+
+      // Check before anything is fetched, so unknown IDs never use the token
+      if (isVideoAllowed && !(await isVideoAllowed(videoId))) {
+        throw new ResolveError('Video not allowed', 403);
+      }
+
+      const data = await resolveVimeoVideo(videoId, {
+        hash: url.searchParams.get('h'),
+        accessToken: settings.accessToken,
+        referer: settings.referer
+      });
+      send(200, data);
+    } catch (error) {
+      send(error.status || 500, { error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  createVimeoHandler,
+  resolveVimeoVideo,
+  resolveVimeoShowcase,
+  getCDNUrls,
+  ResolveError
+};
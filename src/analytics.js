@@ -0,0 +1,346 @@
+const PROGRESS_MILESTONES = [25, 50, 75, 100];
+
+// Jumps larger than this between timeupdates are seeks, not watching
+const MAX_WATCH_STEP = 2;
+
+/**
+ * Push events to a GTM / GA4 dataLayer using GA4's video event names
+ */
+export function dataLayerAdapter(options = {}) {
+  const names = {
+    start: 'video_start',
+    progress: 'video_progress',
+    complete: 'video_complete'
+  };
+
+  return {
+    track(event) {
+      const name = options.name || 'dataLayer';
+      window[name] = window[name] || [];
+      window[name].push({
+        event: names[event.type] || `video_${event.type}`,
+        video_provider: 'vimeo-hls-player',
+        video_id: event.videoId,
+        video_title: event.title,
+        video_url: event.url,
+        video_current_time: Math.round(event.currentTime),
+        video_duration: Math.round(event.duration),
+        video_percent: event.percent,
+        ...event.data
+      });
+    }
+  };
+}
+
+/**
+ * Send events to a Segment-style `analytics.track()` using Segment's video spec names
+ */
+export function segmentAdapter() {
+  const names = {
+    start: 'Video Playback Started',
+    play: 'Video Playback Resumed',
+    pause: 'Video Playback Paused',
+    seek: 'Video Playback Seek Completed',
+    rebuffer: 'Video Playback Buffer Completed',
+    progress: 'Video Content Playing',
+    complete: 'Video Content Completed',
+    qualitychange: 'Video Quality Updated',
+    summary: 'Video Playback Completed'
+  };
+
+  return {
+    track(event) {
+      if (!window.analytics || typeof window.analytics.track !== 'function') return;
+      window.analytics.track(names[event.type] || `Video ${event.type}`, {
+        content_asset_id: event.videoId,
+        title: event.title,
+        position: Math.round(event.currentTime),
+        total_length: Math.round(event.duration),
+        percent: event.percent,
+        ...event.data
+      });
+    }
+  };
+}
+
+/**
+ * Batch events and POST them as JSON with navigator.sendBeacon
+ * @param {object} options - { url, batchSize }
+ */
+export function beaconAdapter(options = {}) {
+  const queue = [];
+  const batchSize = options.batchSize || 10;
+
+  const flush = () => {
+    if (!queue.length) return;
+    const body = JSON.stringify({ events: queue.splice(0, queue.length) });
+
+    if (navigator.sendBeacon) {
+      navigator.sendBeacon(options.url, new Blob([body], { type: 'application/json' }));
+    } else {
+      fetch(options.url, {
+        method: 'POST',
+        body,
+        keepalive: true,
+        headers: { 'Content-Type': 'application/json' }
+      }).catch(() => {});
+    }
+  };
+
+  return {
+    track(event) {
+      queue.push(event);
+      if (queue.length >= batchSize) {
+        flush();
+      }
+    },
+    flush
+  };
+}
+
+const ADAPTERS = {
+  dataLayer: dataLayerAdapter,
+  segment: segmentAdapter,
+  beacon: beaconAdapter
+};
+
+/**
+ * Build an adapter from a name ('dataLayer'), a config ({ type: 'beacon', url }),
+ * a function (event => {}), or an object with track()/flush()
+ */
+function createAdapter(adapter) {
+  if (typeof adapter === 'function') {
+    return { track: adapter };
+  }
+  if (typeof adapter === 'string') {
+    return ADAPTERS[adapter] ? ADAPTERS[adapter]() : null;
+  }
+  if (adapter && adapter.type) {
+    return ADAPTERS[adapter.type] ? ADAPTERS[adapter.type](adapter) : null;
+  }
+  if (adapter && typeof adapter.track === 'function') {
+    return adapter;
+  }
+  return null;
+}
+
+/**
+ * Turns raw media events into normalized analytics events:
+ * start, play, pause, progress (25/50/75/100), complete, seek, rebuffer,
+ * qualitychange, and a summary with unique seconds watched (watchtime while
+ * the view is still open).
+ */
+export class Analytics {
+  constructor(player, options = {}) {
+    this.player = player;
+    this.video = player.video;
+    this.options = {
+      adapters: ['dataLayer'],
+      getContext: () => ({}),
+      ...options
+    };
+    this.adapters = this.options.adapters.map(createAdapter).filter(Boolean);
+    this.handlers = [];
+    this.playerHandlers = [];
+    // Rendition last reported as playing, so a requested switch isn't tracked twice
+    this.playingLevel = null;
+
+    this.reset();
+    this.attachEventListeners();
+  }
+
+  reset() {
+    this.started = false;
+    this.milestones = new Set();
+    this.watchedSeconds = new Set();
+    this.lastTime = 0;
+    this.seekFrom = null;
+    this.bufferStart = null;
+    this.summarized = false;
+  }
+
+  listen(target, event, handler) {
+    target.addEventListener(event, handler);
+    this.handlers.push([target, event, handler]);
+  }
+
+  listenPlayer(event, handler) {
+    this.player.on(event, handler);
+    this.playerHandlers.push([event, handler]);
+  }
+
+  attachEventListeners() {
+    this.listen(this.video, 'play', () => {
+      // Watching again after a summary should produce a fresh one later
+      this.summarized = false;
+
+      if (!this.started) {
+        this.started = true;
+        this.track('start');
+      } else {
+        this.track('play');
+      }
+    });
+
+    this.listen(this.video, 'pause', () => {
+      // Browsers fire pause right before ended
+      if (!this.video.ended) {
+        this.track('pause');
+      }
+    });
+
+    this.listen(this.video, 'timeupdate', () => this.handleTimeUpdate());
+
+    this.listen(this.video, 'seeking', () => {
+      // Clip and A-B loop wraps aren't the viewer seeking
+      if (this.player.isWrapping()) return;
+      if (this.seekFrom === null) {
+        this.seekFrom = this.lastTime;
+      }
+    });
+
+    this.listen(this.video, 'seeked', () => {
+      if (this.seekFrom === null) return;
+      this.track('seek', { from: this.seekFrom, to: this.video.currentTime });
+      this.seekFrom = null;
+      this.lastTime = this.video.currentTime;
+    });
+
+    this.listen(this.video, 'waiting', () => {
+      if (this.started && !this.video.seeking && this.bufferStart === null) {
+        this.bufferStart = Date.now();
+      }
+    });
+
+    this.listen(this.video, 'playing', () => {
+      if (this.bufferStart !== null) {
+        this.track('rebuffer', { bufferDuration: (Date.now() - this.bufferStart) / 1000 });
+        this.bufferStart = null;
+      }
+    });
+
+    this.listen(this.video, 'ended', () => this.summarize());
+
+    this.listenPlayer('qualitychange', (quality) => {
+      // setQuality() reports the request before hls.js has switched; wait for the switch
+      if (quality.playing === this.playingLevel) return;
+      this.playingLevel = quality.playing;
+      if (!this.started) return;
+      const level = this.player.getQualities().find(q => q.index === quality.playing);
+      this.track('qualitychange', {
+        quality: level ? level.label : null,
+        auto: quality.auto
+      });
+    });
+
+    this.listen(window, 'pagehide', () => this.flush(true));
+    this.listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush();
+      }
+    });
+  }
+
+  handleTimeUpdate() {
+    const time = this.video.currentTime;
+    const duration = this.video.duration;
+
+    if (!this.video.seeking && time >= this.lastTime && time - this.lastTime < MAX_WATCH_STEP) {
+      for (let second = Math.floor(this.lastTime); second < Math.floor(time); second++) {
+        this.watchedSeconds.add(second);
+      }
+    }
+    this.lastTime = time;
+
+    if (!duration || !isFinite(duration)) return;
+
+    const percent = (time / duration) * 100;
+    PROGRESS_MILESTONES.forEach(milestone => {
+      // The last timeupdate often lands a little short of the duration
+      const reached = milestone === 100 ? duration - time < 0.5 : percent >= milestone;
+      if (reached && !this.milestones.has(milestone)) {
+        this.milestones.add(milestone);
+        this.track(milestone === 100 ? 'complete' : 'progress', { milestone });
+      }
+    });
+  }
+
+  /**
+   * Report total unique seconds watched for the current video. The view's
+   * summary is sent once; while it is still open (the tab was only hidden)
+   * the running total goes out as a watchtime event instead, which adapters
+   * don't report as a completed playback.
+   * @param {boolean} final - Whether the view is over
+   */
+  summarize(final = true) {
+    if (!this.started || this.summarized) return;
+    this.summarized = final;
+    this.track(final ? 'summary' : 'watchtime', {
+      watchedSeconds: this.watchedSeconds.size,
+      milestones: Array.from(this.milestones)
+    });
+  }
+
+  /**
+   * Close the current view before another video loads, while the context
+   * still describes the video that was watched
+   */
+  endView() {
+    this.summarize();
+    this.reset();
+  }
+
+  /**
+   * Build a normalized event and hand it to every adapter
+   * @param {string} type - Event type
+   * @param {object} data - Event-specific fields
+   */
+  track(type, data = {}) {
+    const duration = this.video.duration;
+    const currentTime = this.video.currentTime;
+    const context = this.options.getContext() || {};
+
+    const event = {
+      type,
+      videoId: context.videoId || null,
+      title: context.title || null,
+      url: context.url || null,
+      currentTime,
+      duration: isFinite(duration) ? duration : 0,
+      percent: duration && isFinite(duration) ? Math.round((currentTime / duration) * 100) : 0,
+      timestamp: Date.now(),
+      data
+    };
+
+    this.adapters.forEach(adapter => {
+      try {
+        adapter.track(event);
+      } catch (error) {
+        console.error('Analytics adapter error:', error);
+      }
+    });
+
+    this.player.emit('analytics', event);
+  }
+
+  /**
+   * Send the watch-time summary and flush batching adapters
+   * @param {boolean} final - Whether the view is over; a hidden tab may come back
+   */
+  flush(final = false) {
+    this.summarize(final);
+    this.adapters.forEach(adapter => {
+      if (adapter.flush) {
+        adapter.flush();
+      }
+    });
+  }
+
+  destroy() {
+    this.flush(true);
+    this.handlers.forEach(([target, event, handler]) => target.removeEventListener(event, handler));
+    this.playerHandlers.forEach(([event, handler]) => this.player.off(event, handler));
+    this.handlers = [];
+    this.playerHandlers = [];
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Selector for elements that should become players automatically
+ */
+export const AUTO_INIT_SELECTOR = '[data-vimeo-hls]';
+
+/**
+ * Player options that can be set through data attributes, with their types.
+ * `data-aspect-ratio` maps to `aspectRatio`, `data-hls-url` to `hlsUrl`, etc.
+ */
+export const ATTRIBUTE_OPTIONS = {
+  vimeoId: 'string',
+  hlsUrl: 'string',
+  resolver: 'string',
+  autoplay: 'boolean',
+  muted: 'boolean',
+  controls: 'boolean',
+  aspectRatio: 'string',
+  poster: 'string',
+  title: 'string',
+  artist: 'string',
+  thumbnails: 'string',
+  keyboard: 'boolean',
+  theme: 'string',
+  resume: 'boolean',
+  lazy: 'boolean',
+  autoplayVisible: 'boolean',
+  pauseOffscreen: 'boolean',
+  autoPictureInPicture: 'boolean',
+  mediaSession: 'boolean',
+  exclusive: 'boolean',
+  group: 'string',
+  playbackRate: 'number',
+  startTime: 'string',
+  endTime: 'string',
+  deepLink: 'boolean',
+  maxRetries: 'number',
+  background: 'boolean'
+};
+
+/**
+ * Read player options from an element's data attributes.
+ * `data-vimeo-hls` may itself hold a Vimeo ID or URL, and `data-vimeo-options`
+ * may hold a JSON object for options that don't have an attribute.
+ * @param {HTMLElement} element - Player container
+ * @returns {object} Player options
+ */
+export function parseOptions(element) {
+  const { dataset } = element;
+  let options = {};
+
+  if (dataset.vimeoOptions) {
+    try {
+      options = JSON.parse(dataset.vimeoOptions);
+    } catch (error) {
+      console.warn('Invalid JSON in data-vimeo-options:', error);
+    }
+  }
+
+  Object.keys(ATTRIBUTE_OPTIONS).forEach(name => {
+    if (dataset[name] === undefined) return;
+    const value = coerce(dataset[name], ATTRIBUTE_OPTIONS[name]);
+    if (value === undefined) {
+      // Leave the default (or the data-vimeo-options value) in place
+      console.warn(`Ignoring invalid data attribute for ${name}:`, dataset[name]);
+      return;
+    }
+    options[name] = value;
+  });
+
+  if (dataset.vimeoHls && !options.vimeoId && !options.hlsUrl) {
+    options.vimeoId = dataset.vimeoHls;
+  }
+
+  return options;
+}
+
+function coerce(value, type) {
+  switch (type) {
+    case 'boolean':
+      // A bare attribute (data-autoplay) counts as true
+      return value === '' || value === 'true' || value === '1';
+    case 'number': {
+      // Empty or non-numeric values would otherwise become 0 or NaN
+      const number = value.trim() === '' ? NaN : Number(value);
+      return isFinite(number) ? number : undefined;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Builds players for matching elements and keeps watching for new ones
+ * (Webflow CMS lists, tabs, and other content rendered after load).
+ */
+export class AutoInit {
+  constructor(PlayerClass) {
+    this.PlayerClass = PlayerClass;
+    this.observer = null;
+  }
+
+  /**
+   * Create players for every matching element under root that doesn't have one
+   * @param {ParentNode} root - Element or document to scan
+   * @returns {Array} Newly created players
+   */
+  scan(root = document) {
+    const elements = [];
+
+    if (root.matches && root.matches(AUTO_INIT_SELECTOR)) {
+      elements.push(root);
+    }
+    if (root.querySelectorAll) {
+      elements.push(...root.querySelectorAll(AUTO_INIT_SELECTOR));
+    }
+
+    return elements
+      .filter(element => !this.PlayerClass.get(element))
+      .map(element => this.create(element))
+      .filter(Boolean);
+  }
+
+  create(element) {
+    try {
+      return new this.PlayerClass(element, parseOptions(element));
+    } catch (error) {
+      console.error('Could not initialize player for element:', element, error);
+      return null;
+    }
+  }
+
+  /**
+   * Watch the document for players added or removed after the initial scan
+   * @param {Node} root - Node to observe
+   */
+  observe(root = document.documentElement) {
+    if (this.observer || typeof MutationObserver === 'undefined') return;
+
+    this.observer = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            this.scan(node);
+          }
+        });
+
+        if (mutation.removedNodes.length) {
+          this.cleanup();
+        }
+      });
+    });
+
+    this.observer.observe(root, { childList: true, subtree: true });
+  }
+
+  /**
+   * Destroy auto-initialized players whose containers left the document
+   */
+  cleanup() {
+    this.PlayerClass.getAll().forEach(player => {
+      if (!player.container.isConnected && player.container.matches(AUTO_INIT_SELECTOR)) {
+        player.destroy();
+      }
+    });
+  }
+
+  disconnect() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+
+  /**
+   * Scan once the DOM is ready, then keep observing
+   */
+  start() {
+    const run = () => {
+      this.scan(document);
+      this.observe();
+    };
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', run, { once: true });
+    } else {
+      run();
+    }
+  }
+}
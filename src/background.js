@@ -0,0 +1,73 @@
+import { DEFAULT_ICONS } from './icons.js';
+
+/**
+ * Whether the visitor asked for less motion or less data, in which case
+ * background videos only show their poster
+ * @returns {boolean}
+ */
+export function prefersStillImage() {
+  const reducedMotion = typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const saveData = !!(navigator.connection && navigator.connection.saveData);
+  return reducedMotion || saveData;
+}
+
+/**
+ * Small pause/play toggle for background videos, so visitors can stop the
+ * motion (WCAG 2.2.2)
+ */
+export class BackgroundToggle {
+  constructor(player, container, options = {}) {
+    this.player = player;
+    this.container = container;
+    this.options = {
+      icons: {},
+      ...options
+    };
+    this.element = null;
+
+    this.update = this.update.bind(this);
+
+    this.createElement();
+    this.attachEventListeners();
+  }
+
+  createElement() {
+    const icons = { ...DEFAULT_ICONS, ...this.options.icons };
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'vimeo-hls-background-toggle';
+    button.innerHTML = `
+      <span class="vimeo-hls-icon play-icon" aria-hidden="true">${icons.play}</span>
+      <span class="vimeo-hls-icon pause-icon" aria-hidden="true">${icons.pause}</span>
+    `;
+    button.querySelectorAll('svg').forEach(svg => svg.setAttribute('focusable', 'false'));
+    button.addEventListener('click', () => this.player.togglePlay());
+
+    this.container.appendChild(button);
+    this.element = button;
+    this.update();
+  }
+
+  attachEventListeners() {
+    this.player.on('play', this.update);
+    this.player.on('pause', this.update);
+  }
+
+  update() {
+    const paused = this.player.video.paused;
+    this.element.setAttribute('aria-label', paused ? 'Play background video' : 'Pause background video');
+    this.element.querySelector('.play-icon').hidden = !paused;
+    this.element.querySelector('.pause-icon').hidden = paused;
+  }
+
+  destroy() {
+    this.player.off('play', this.update);
+    this.player.off('pause', this.update);
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
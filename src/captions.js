@@ -0,0 +1,106 @@
+/**
+ * Parse a WebVTT timestamp (hh:mm:ss.ttt or mm:ss.ttt) into seconds
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function parseTimestamp(timestamp) {
+  const parts = timestamp.trim().split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Parse a WebVTT document into cues
+ * @param {string} text - WebVTT file contents
+ * @returns {Array<{startTime: number, endTime: number, text: string}>}
+ */
+export function parseVTT(text) {
+  const cues = [];
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const [start, rest] = lines[timingIndex].split('-->');
+    const end = rest.trim().split(/\s+/)[0];
+
+    cues.push({
+      startTime: parseTimestamp(start),
+      endTime: parseTimestamp(end),
+      text: lines.slice(timingIndex + 1).join('\n')
+    });
+  });
+
+  return cues;
+}
+
+/**
+ * Strip WebVTT markup (<b>, <i>, <v Speaker>, timestamps) and decode entities
+ * @param {string} text - Cue text
+ * @returns {string} Plain text
+ */
+export function cueToPlainText(text) {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Draws the active caption cues above the control bar
+ */
+export class CaptionRenderer {
+  constructor(player, container) {
+    this.player = player;
+    this.container = container;
+    this.element = null;
+    this.currentText = '';
+
+    this.update = this.update.bind(this);
+
+    this.createElement();
+    this.attachEventListeners();
+  }
+
+  createElement() {
+    this.element = document.createElement('div');
+    this.element.className = 'vimeo-hls-captions';
+    this.element.setAttribute('aria-live', 'off');
+    this.element.hidden = true;
+    this.container.appendChild(this.element);
+  }
+
+  attachEventListeners() {
+    this.player.on('timeupdate', this.update);
+    this.player.on('texttrackchange', this.update);
+    this.player.video.addEventListener('seeked', this.update);
+  }
+
+  update() {
+    const text = this.player.getActiveCues()
+      .map(cue => cueToPlainText(cue.text))
+      .join('\n');
+
+    if (text === this.currentText) return;
+    this.currentText = text;
+
+    this.element.innerHTML = '';
+    text.split('\n').filter(Boolean).forEach(line => {
+      const span = document.createElement('span');
+      span.className = 'vimeo-hls-captions-line';
+      span.textContent = line;
+      this.element.appendChild(span);
+    });
+    this.element.hidden = !text;
+  }
+
+  destroy() {
+    this.player.off('timeupdate', this.update);
+    this.player.off('texttrackchange', this.update);
+    this.player.video.removeEventListener('seeked', this.update);
+    this.element.remove();
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Default placement of the built-in control components, by zone.
+ * The progress bar always spans the bottom of the player.
+ */
+export const DEFAULT_LAYOUT = {
+  top: [],
+  overlay: ['playLarge'],
+  left: ['previous', 'play', 'next', 'volume', 'time'],
+  right: ['playlist', 'chapters', 'captions', 'speed', 'quality', 'pip', 'cast', 'fullscreen']
+};
+
+export const LAYOUT_ZONES = Object.keys(DEFAULT_LAYOUT);
+
+// Custom components, by name
+const components = new Map();
+
+/**
+ * Register a custom control component so `controlsLayout` can place it by name.
+ * The class is constructed once per player as `new Component(player, controls)`
+ * and must expose an `element`; an optional `destroy()` is called on teardown.
+ * @param {string} name - Name to use in controlsLayout
+ * @param {Function} Component - Component class
+ */
+export function registerComponent(name, Component) {
+  if (typeof Component !== 'function') {
+    throw new Error(`Component "${name}" must be a class`);
+  }
+  components.set(name, Component);
+}
+
+export function getComponent(name) {
+  return components.get(name) || null;
+}
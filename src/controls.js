@@ -1,13 +1,156 @@
+import { KeyboardShortcuts } from './keyboard.js';
+import { ControlMenu } from './menu.js';
+import { SpriteThumbnails, StreamThumbnails } from './thumbnails.js';
+import { DEFAULT_ICONS } from './icons.js';
+import { DEFAULT_LAYOUT, LAYOUT_ZONES, getComponent } from './components.js';
+import { formatTime } from './format.js';
+
+// Seconds skipped by a double tap on either side of the video
+const DOUBLE_TAP_SEEK = 10;
+
+// Taps closer together than this (ms) are a double tap
+const DOUBLE_TAP_DELAY = 300;
+
+// Arrow key steps for the progress and volume sliders
+const SLIDER_SEEK_STEP = 5;
+const SLIDER_VOLUME_STEP = 0.05;
+
+// Press this long (ms) on the volume button to open the slider on touch screens
+const VOLUME_HOLD_DELAY = 400;
+
+// Keyboard shortcuts whose seeks are announced
+const SEEK_ACTIONS = ['seekBackward', 'seekForward', 'seekPercent', 'frameBackward', 'frameForward'];
+
+// Markup for the built-in components that controlsLayout can place
+const BUILTIN_COMPONENTS = {
+  playLarge: icon => `
+    <button class="vimeo-hls-play-large" aria-label="Play">
+      ${icon('play')}
+    </button>`,
+  previous: icon => `
+    <button class="vimeo-hls-previous-btn" aria-label="Previous video" hidden>
+      ${icon('previous')}
+    </button>`,
+  play: icon => `
+    <button class="vimeo-hls-play-btn" aria-label="Play">
+      ${icon('play', 'play-icon')}
+      ${icon('pause', 'pause-icon', true)}
+    </button>`,
+  next: icon => `
+    <button class="vimeo-hls-next-btn" aria-label="Next video" hidden>
+      ${icon('next')}
+    </button>`,
+  volume: icon => `
+    <div class="vimeo-hls-volume-container">
+      <button class="vimeo-hls-volume-btn" aria-label="Mute">
+        ${icon('volumeHigh', 'volume-high')}
+        ${icon('volumeMuted', 'volume-muted', true)}
+      </button>
+
+      <div class="vimeo-hls-volume-slider" role="slider" tabindex="0" aria-label="Volume"
+        aria-orientation="vertical" aria-valuemin="0" aria-valuemax="100" aria-valuenow="100" aria-valuetext="100%">
+        <div class="vimeo-hls-volume-bar">
+          <div class="vimeo-hls-volume-filled"></div>
+        </div>
+      </div>
+    </div>`,
+  time: () => `
+    <div class="vimeo-hls-time" aria-hidden="true">
+      <span class="vimeo-hls-time-current">0:00</span>
+      <span class="vimeo-hls-time-separator">/</span>
+      <span class="vimeo-hls-time-duration">0:00</span>
+    </div>`,
+  playlist: icon => `
+    <button class="vimeo-hls-playlist-btn" aria-label="Playlist" aria-expanded="false" hidden>
+      ${icon('playlist')}
+    </button>`,
+  chapters: icon => `
+    <div class="vimeo-hls-menu-container vimeo-hls-chapters-container" hidden>
+      <button class="vimeo-hls-chapters-btn" aria-label="Chapters">
+        ${icon('chapters')}
+      </button>
+    </div>`,
+  captions: icon => `
+    <div class="vimeo-hls-menu-container vimeo-hls-captions-container" hidden>
+      <button class="vimeo-hls-captions-btn" aria-label="Captions" aria-pressed="false">
+        ${icon('captions')}
+      </button>
+    </div>`,
+  speed: () => `
+    <div class="vimeo-hls-menu-container vimeo-hls-speed-container">
+      <button class="vimeo-hls-speed-btn" aria-label="Playback speed">
+        <span class="vimeo-hls-speed-label">1×</span>
+      </button>
+    </div>`,
+  quality: icon => `
+    <div class="vimeo-hls-menu-container vimeo-hls-quality-container" hidden>
+      <button class="vimeo-hls-quality-btn" aria-label="Quality">
+        ${icon('quality')}
+      </button>
+    </div>`,
+  loop: icon => `
+    <button class="vimeo-hls-loop-btn" aria-label="Set loop start" aria-pressed="false">
+      ${icon('loop')}
+    </button>`,
+  pip: icon => `
+    <button class="vimeo-hls-pip-btn" aria-label="Picture-in-picture" hidden>
+      ${icon('pip')}
+    </button>`,
+  cast: icon => `
+    <button class="vimeo-hls-cast-btn" aria-label="Play on another device" hidden>
+      ${icon('cast')}
+    </button>`,
+  fullscreen: icon => `
+    <button class="vimeo-hls-fullscreen-btn" aria-label="Fullscreen">
+      ${icon('fullscreenEnter', 'fullscreen-enter')}
+      ${icon('fullscreenExit', 'fullscreen-exit', true)}
+    </button>`
+};
+
 /**
  * Custom Video Controls
  */
 export class VideoControls {
-  constructor(player, container) {
+  constructor(player, container, options = {}) {
     this.player = player;
     this.container = container;
+    this.options = {
+      keyboard: true,
+      playbackRates: [0.5, 0.75, 1, 1.25, 1.5, 2],
+      thumbnails: null,
+      icons: {},
+      // { top, overlay, left, right } lists of component names
+      layout: null,
+      // Passed to custom components and button callbacks
+      context: player,
+      onPrevious: null,
+      onNext: null,
+      onTogglePlaylist: null,
+      ...options
+    };
     this.controlsElement = null;
+    this.zones = {};
+    this.components = {};
+    this.customComponents = [];
+    this.buttons = new Map();
+    this.keyboard = null;
+    this.qualityMenu = null;
+    this.captionsMenu = null;
+    this.speedMenu = null;
+    this.chaptersMenu = null;
+    this.thumbnails = null;
+    this.isDragging = false;
+    this.userSeek = false;
     this.isHiding = false;
     this.hideTimeout = null;
+    this.lastPointerType = 'mouse';
+    this.lastTap = null;
+    this.tapTimeout = null;
+    this.volumeHoldTimeout = null;
+    this.volumeCloseTimeout = null;
+    this.volumeHeld = false;
+    this.announceTimeout = null;
+    this.wasMuted = null;
 
     this.createControls();
     this.attachEventListeners();
@@ -16,208 +159,934 @@ export class VideoControls {
   createControls() {
     const controls = document.createElement('div');
     controls.className = 'vimeo-hls-controls';
+
+    const icons = { ...DEFAULT_ICONS, ...this.options.icons };
+    const icon = (name, className = '', hidden = false) =>
+      `<span class="vimeo-hls-icon${className ? ` ${className}` : ''}"${hidden ? ' hidden' : ''}>${icons[name]}</span>`;
+
     controls.innerHTML = `
-      <div class="vimeo-hls-controls-overlay">
-        <button class="vimeo-hls-play-large" aria-label="Play">
-          <svg viewBox="0 0 24 24" fill="currentColor">
-            <path d="M8 5v14l11-7z"/>
-          </svg>
-        </button>
-      </div>
+      <div class="vimeo-hls-controls-top"></div>
+
+      <div class="vimeo-hls-controls-overlay"></div>
 
       <div class="vimeo-hls-controls-bottom">
         <div class="vimeo-hls-progress-container">
           <div class="vimeo-hls-progress-buffered"></div>
-          <div class="vimeo-hls-progress-bar">
+          <div class="vimeo-hls-progress-bar" role="slider" tabindex="0" aria-label="Seek"
+            aria-valuemin="0" aria-valuemax="0" aria-valuenow="0" aria-valuetext="0:00 of 0:00">
+            <div class="vimeo-hls-progress-loop" hidden></div>
             <div class="vimeo-hls-progress-filled"></div>
+            <div class="vimeo-hls-progress-chapters"></div>
             <div class="vimeo-hls-progress-handle"></div>
+            <div class="vimeo-hls-progress-tooltip" hidden>
+              <div class="vimeo-hls-tooltip-thumbnail" hidden></div>
+              <span class="vimeo-hls-tooltip-title"></span>
+              <span class="vimeo-hls-tooltip-time">0:00</span>
+            </div>
           </div>
         </div>
 
         <div class="vimeo-hls-controls-row">
-          <div class="vimeo-hls-controls-left">
-            <button class="vimeo-hls-play-btn" aria-label="Play">
-              <svg class="play-icon" viewBox="0 0 24 24" fill="currentColor">
-                <path d="M8 5v14l11-7z"/>
-              </svg>
-              <svg class="pause-icon" viewBox="0 0 24 24" fill="currentColor" style="display: none;">
-                <path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z"/>
-              </svg>
-            </button>
-
-            <div class="vimeo-hls-volume-container">
-              <button class="vimeo-hls-volume-btn" aria-label="Mute">
-                <svg class="volume-high" viewBox="0 0 24 24" fill="currentColor">
-                  <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/>
-                </svg>
-                <svg class="volume-muted" viewBox="0 0 24 24" fill="currentColor" style="display: none;">
-                  <path d="M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z"/>
-                </svg>
-              </button>
-
-              <div class="vimeo-hls-volume-slider">
-                <div class="vimeo-hls-volume-bar">
-                  <div class="vimeo-hls-volume-filled"></div>
-                </div>
-              </div>
-            </div>
-
-            <div class="vimeo-hls-time">
-              <span class="vimeo-hls-time-current">0:00</span>
-              <span class="vimeo-hls-time-separator">/</span>
-              <span class="vimeo-hls-time-duration">0:00</span>
-            </div>
-          </div>
-
-          <div class="vimeo-hls-controls-right">
-            <button class="vimeo-hls-fullscreen-btn" aria-label="Fullscreen">
-              <svg class="fullscreen-enter" viewBox="0 0 24 24" fill="currentColor">
-                <path d="M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z"/>
-              </svg>
-              <svg class="fullscreen-exit" viewBox="0 0 24 24" fill="currentColor" style="display: none;">
-                <path d="M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z"/>
-              </svg>
-            </button>
-          </div>
+          <div class="vimeo-hls-controls-left"></div>
+          <div class="vimeo-hls-controls-right"></div>
         </div>
       </div>
+
+      <div class="vimeo-hls-sr-only" role="status" aria-live="polite"></div>
     `;
 
+    this.zones = {
+      top: controls.querySelector('.vimeo-hls-controls-top'),
+      overlay: controls.querySelector('.vimeo-hls-controls-overlay'),
+      left: controls.querySelector('.vimeo-hls-controls-left'),
+      right: controls.querySelector('.vimeo-hls-controls-right')
+    };
+
+    // Built-in components left out of the layout are still built, just never
+    // attached, so the rest of the controls can keep updating them
+    Object.keys(BUILTIN_COMPONENTS).forEach(name => {
+      const template = document.createElement('template');
+      template.innerHTML = BUILTIN_COMPONENTS[name](icon).trim();
+      const element = template.content.firstElementChild;
+
+      // Icons are decoration; the buttons carry the labels
+      element.querySelectorAll('.vimeo-hls-icon').forEach(span => span.setAttribute('aria-hidden', 'true'));
+      element.querySelectorAll('svg').forEach(svg => svg.setAttribute('focusable', 'false'));
+      this.components[name] = element;
+    });
+
+    this.placeComponents();
+
     this.container.appendChild(controls);
     this.controlsElement = controls;
 
-    // Get references to control elements
-    this.playBtn = controls.querySelector('.vimeo-hls-play-btn');
-    this.playLargeBtn = controls.querySelector('.vimeo-hls-play-large');
-    this.playIcon = controls.querySelector('.play-icon');
-    this.pauseIcon = controls.querySelector('.pause-icon');
-    this.progressBar = controls.querySelector('.vimeo-hls-progress-bar');
-    this.progressFilled = controls.querySelector('.vimeo-hls-progress-filled');
-    this.progressBuffered = controls.querySelector('.vimeo-hls-progress-buffered');
-    this.progressHandle = controls.querySelector('.vimeo-hls-progress-handle');
-    this.volumeBtn = controls.querySelector('.vimeo-hls-volume-btn');
-    this.volumeHigh = controls.querySelector('.volume-high');
-    this.volumeMuted = controls.querySelector('.volume-muted');
-    this.volumeSlider = controls.querySelector('.vimeo-hls-volume-slider');
-    this.volumeFilled = controls.querySelector('.vimeo-hls-volume-filled');
-    this.timeCurrent = controls.querySelector('.vimeo-hls-time-current');
-    this.timeDuration = controls.querySelector('.vimeo-hls-time-duration');
-    this.fullscreenBtn = controls.querySelector('.vimeo-hls-fullscreen-btn');
-    this.fullscreenEnter = controls.querySelector('.fullscreen-enter');
-    this.fullscreenExit = controls.querySelector('.fullscreen-exit');
+    // Get references to control elements, attached or not
+    const find = (selector) => controls.querySelector(selector) || Object.values(this.components)
+      .map(element => (element.matches(selector) ? element : element.querySelector(selector)))
+      .find(Boolean) || null;
+
+    this.playBtn = find('.vimeo-hls-play-btn');
+    this.playLargeBtn = find('.vimeo-hls-play-large');
+    this.overlay = this.zones.overlay;
+    this.previousBtn = find('.vimeo-hls-previous-btn');
+    this.nextBtn = find('.vimeo-hls-next-btn');
+    this.playlistBtn = find('.vimeo-hls-playlist-btn');
+    this.playIcon = find('.play-icon');
+    this.pauseIcon = find('.pause-icon');
+    this.progressBar = find('.vimeo-hls-progress-bar');
+    this.progressFilled = find('.vimeo-hls-progress-filled');
+    this.progressBuffered = find('.vimeo-hls-progress-buffered');
+    this.progressHandle = find('.vimeo-hls-progress-handle');
+    this.progressChapters = find('.vimeo-hls-progress-chapters');
+    this.progressLoop = find('.vimeo-hls-progress-loop');
+    this.progressTooltip = find('.vimeo-hls-progress-tooltip');
+    this.tooltipTitle = find('.vimeo-hls-tooltip-title');
+    this.tooltipTime = find('.vimeo-hls-tooltip-time');
+    this.tooltipThumbnail = find('.vimeo-hls-tooltip-thumbnail');
+    this.volumeContainer = find('.vimeo-hls-volume-container');
+    this.volumeBtn = find('.vimeo-hls-volume-btn');
+    this.volumeHigh = find('.volume-high');
+    this.volumeMuted = find('.volume-muted');
+    this.volumeSlider = find('.vimeo-hls-volume-slider');
+    this.volumeFilled = find('.vimeo-hls-volume-filled');
+    this.timeCurrent = find('.vimeo-hls-time-current');
+    this.timeDuration = find('.vimeo-hls-time-duration');
+    this.chaptersContainer = find('.vimeo-hls-chapters-container');
+    this.chaptersBtn = find('.vimeo-hls-chapters-btn');
+    this.captionsContainer = find('.vimeo-hls-captions-container');
+    this.captionsBtn = find('.vimeo-hls-captions-btn');
+    this.speedContainer = find('.vimeo-hls-speed-container');
+    this.speedBtn = find('.vimeo-hls-speed-btn');
+    this.speedLabel = find('.vimeo-hls-speed-label');
+    this.qualityContainer = find('.vimeo-hls-quality-container');
+    this.qualityBtn = find('.vimeo-hls-quality-btn');
+    this.loopBtn = find('.vimeo-hls-loop-btn');
+    this.pipBtn = find('.vimeo-hls-pip-btn');
+    this.castBtn = find('.vimeo-hls-cast-btn');
+    this.fullscreenBtn = find('.vimeo-hls-fullscreen-btn');
+    this.fullscreenEnter = find('.fullscreen-enter');
+    this.fullscreenExit = find('.fullscreen-exit');
+    this.liveRegion = controls.querySelector('.vimeo-hls-sr-only');
+  }
+
+  /**
+   * Put the built-in and registered components into their zones, in
+   * layout order
+   */
+  placeComponents() {
+    const layout = { ...DEFAULT_LAYOUT, ...this.options.layout };
+
+    Object.keys(layout).forEach(zone => {
+      if (!LAYOUT_ZONES.includes(zone)) {
+        console.warn(`Unknown controls zone "${zone}". Available: ${LAYOUT_ZONES.join(', ')}`);
+        return;
+      }
+
+      (layout[zone] || []).forEach(name => {
+        const element = this.components[name] || this.createCustomComponent(name);
+        if (element) {
+          this.zones[zone].appendChild(element);
+        }
+      });
+    });
+  }
+
+  createCustomComponent(name) {
+    const Component = getComponent(name);
+    if (!Component) {
+      console.warn(`Unknown controls component "${name}"`);
+      return null;
+    }
+
+    try {
+      const component = new Component(this.options.context, this);
+      if (!(component.element instanceof HTMLElement)) {
+        throw new Error('component has no element');
+      }
+      this.customComponents.push(component);
+      this.components[name] = component.element;
+      return component.element;
+    } catch (error) {
+      console.error(`Error creating controls component "${name}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Add a custom button to the controls
+   * @param {object} button - { id, label, icon, text, zone, index, className, onClick }
+   *   icon is SVG markup, text a plain label shown instead of an icon.
+   *   onClick receives the player and the click event.
+   * @returns {HTMLButtonElement}
+   */
+  addButton(button) {
+    const { id, label = '', icon = null, text = null, zone = 'right', index = null, className = '', onClick = null } = button;
+
+    if (!this.zones[zone]) {
+      console.warn(`Unknown controls zone "${zone}". Available: ${LAYOUT_ZONES.join(', ')}`);
+      return null;
+    }
+    if (id) {
+      this.removeButton(id);
+    }
+
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = `vimeo-hls-custom-btn${className ? ` ${className}` : ''}`;
+    element.setAttribute('aria-label', label);
+    if (id) {
+      element.dataset.id = id;
+    }
+
+    if (icon) {
+      const span = document.createElement('span');
+      span.className = 'vimeo-hls-icon';
+      span.setAttribute('aria-hidden', 'true');
+      span.innerHTML = icon;
+      element.appendChild(span);
+    } else {
+      const span = document.createElement('span');
+      span.className = 'vimeo-hls-custom-btn-text';
+      span.textContent = text || label;
+      element.appendChild(span);
+    }
+
+    if (onClick) {
+      element.addEventListener('click', (e) => onClick(this.options.context, e));
+    }
+
+    const target = this.zones[zone];
+    const before = index === null ? null : target.children[index] || null;
+    target.insertBefore(element, before);
+
+    if (id) {
+      this.buttons.set(id, element);
+    }
+    return element;
+  }
+
+  /**
+   * Remove a button added with addButton
+   * @param {string} id - Button id
+   */
+  removeButton(id) {
+    const element = this.buttons.get(id);
+    if (element) {
+      element.remove();
+      this.buttons.delete(id);
+    }
   }
 
   attachEventListeners() {
     // Play/Pause
     this.playBtn.addEventListener('click', () => this.player.togglePlay());
     this.playLargeBtn.addEventListener('click', () => this.player.togglePlay());
-    this.player.video.addEventListener('click', () => this.player.togglePlay());
+
+    // Clicks toggle playback; taps show or hide the controls, double taps seek
+    this.overlay.addEventListener('pointerdown', (e) => {
+      this.lastPointerType = e.pointerType;
+    });
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target.closest('button')) return;
+      if (this.lastPointerType === 'mouse') {
+        this.player.togglePlay();
+      } else {
+        this.handleTap(e);
+      }
+    });
+
+    // Playlist
+    this.previousBtn.addEventListener('click', () => this.options.onPrevious && this.options.onPrevious());
+    this.nextBtn.addEventListener('click', () => this.options.onNext && this.options.onNext());
+    this.playlistBtn.addEventListener('click', () => this.options.onTogglePlaylist && this.options.onTogglePlaylist());
 
     // Update play button state
-    this.player.on('play', () => this.updatePlayButton(true));
-    this.player.on('pause', () => this.updatePlayButton(false));
-    this.player.on('ended', () => this.updatePlayButton(false));
+    this.player.on('play', () => {
+      this.updatePlayButton(true);
+      this.announce('Playing');
+    });
+    this.player.on('pause', () => {
+      this.updatePlayButton(false);
+      if (!this.player.video.ended) {
+        this.announce('Paused');
+      }
+    });
+    this.player.on('ended', () => {
+      this.updatePlayButton(false);
+      this.announce('Ended');
+    });
 
     // Progress bar
-    this.progressBar.addEventListener('click', (e) => this.handleProgressClick(e));
-    this.progressBar.addEventListener('mousedown', (e) => this.handleProgressDragStart(e));
+    this.progressBar.addEventListener('pointerdown', (e) => this.handleProgressDragStart(e));
+    this.progressBar.addEventListener('pointermove', (e) => this.handleProgressDrag(e));
+    this.progressBar.addEventListener('pointerup', (e) => this.handleProgressDragEnd(e));
+    this.progressBar.addEventListener('pointercancel', (e) => this.handleProgressDragEnd(e));
+    this.progressBar.addEventListener('pointerleave', () => {
+      if (!this.isDragging) {
+        this.hideProgressTooltip();
+      }
+    });
+    this.progressBar.addEventListener('keydown', (e) => this.handleProgressKey(e));
+
+    // Announce where a seek landed, once scrubbing or key repeats settle. Only
+    // the user's own seeks: clip and A-B loop wraps would announce every pass.
+    this.player.video.addEventListener('seeked', () => {
+      if (this.userSeek && !this.isDragging && !this.player.isWrapping()) {
+        this.userSeek = false;
+        this.announce(`Seeked to ${this.formatTime(this.player.getCurrentTime() - this.getTimeline().start)}`, 500);
+      }
+    });
+
+    if (this.options.thumbnails && this.options.thumbnails !== 'stream') {
+      this.thumbnails = new SpriteThumbnails(this.options.thumbnails);
+    }
 
     this.player.on('timeupdate', () => this.updateProgress());
-    this.player.on('loadedmetadata', () => this.updateDuration());
+    this.player.on('loadedmetadata', () => {
+      this.updateDuration();
+      this.updateLoop();
+    });
+
+    // The progress bar and times cover only the clip
+    this.player.on('clipchange', () => {
+      this.updateDuration();
+      this.updateProgress();
+      this.updateChapters();
+      this.updateLoop();
+    });
+
+    // A–B loop
+    this.loopBtn.addEventListener('click', () => this.player.cycleLoop());
+    this.player.on('loopchange', (loop) => {
+      this.updateLoop();
+      this.announceLoop(loop);
+    });
+
+    // Chapters
+    this.chaptersMenu = new ControlMenu(this.chaptersBtn, {
+      className: 'vimeo-hls-chapters-menu',
+      title: 'Chapters',
+      onSelect: (index) => this.player.setChapter(index)
+    });
+    this.player.on('chaptersloaded', () => this.updateChapters());
+    this.player.on('chapterchange', () => this.updateChaptersMenu());
 
     // Volume
     this.volumeBtn.addEventListener('click', () => {
+      // The press that opened the slider isn't a mute toggle
+      if (this.volumeHeld) {
+        this.volumeHeld = false;
+        return;
+      }
       this.player.toggleMute();
       this.updateVolumeButton();
     });
 
-    this.volumeSlider.addEventListener('click', (e) => this.handleVolumeClick(e));
+    // Touch screens have no hover, so press and hold the button to open the slider
+    this.volumeBtn.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'mouse') return;
+      this.volumeHeld = false;
+      this.volumeHoldTimeout = setTimeout(() => {
+        this.volumeHeld = true;
+        this.volumeBtn.setPointerCapture(e.pointerId);
+        this.openVolumeSlider();
+      }, VOLUME_HOLD_DELAY);
+    });
+    this.volumeBtn.addEventListener('pointermove', (e) => {
+      // Keep the finger down and slide up onto the slider
+      if (this.volumeHeld) {
+        this.handleVolumeDrag(e);
+      }
+    });
+    ['pointerup', 'pointercancel'].forEach(event => {
+      this.volumeBtn.addEventListener(event, () => {
+        clearTimeout(this.volumeHoldTimeout);
+        if (this.volumeHeld) {
+          this.scheduleVolumeClose();
+        }
+      });
+    });
+
+    this.volumeSlider.addEventListener('pointerdown', (e) => {
+      this.volumeSlider.setPointerCapture(e.pointerId);
+      this.handleVolumeDrag(e);
+    });
+    this.volumeSlider.addEventListener('pointermove', (e) => {
+      if (this.volumeSlider.hasPointerCapture(e.pointerId)) {
+        this.handleVolumeDrag(e);
+      }
+    });
+    this.volumeSlider.addEventListener('keydown', (e) => this.handleVolumeKey(e));
+    this.volumeSlider.addEventListener('pointerup', () => {
+      if (this.volumeContainer.classList.contains('vimeo-hls-volume-open')) {
+        this.scheduleVolumeClose();
+      }
+    });
+    this.player.video.addEventListener('volumechange', () => this.updateVolumeButton());
+    this.updateVolumeButton();
+
+    // Captions
+    this.captionsMenu = new ControlMenu(this.captionsBtn, {
+      className: 'vimeo-hls-captions-menu',
+      title: 'Captions',
+      onSelect: (id) => this.player.setTextTrack(id)
+    });
+    this.player.on('texttracksloaded', () => this.updateCaptionsMenu());
+    this.player.on('texttrackchange', () => this.updateCaptionsMenu());
+
+    // Playback speed
+    this.speedMenu = new ControlMenu(this.speedBtn, {
+      className: 'vimeo-hls-speed-menu',
+      title: 'Speed',
+      onSelect: (rate) => this.player.setPlaybackRate(rate)
+    });
+    this.player.on('ratechange', () => this.updateSpeedMenu());
+    this.updateSpeedMenu();
+
+    // Quality
+    this.qualityMenu = new ControlMenu(this.qualityBtn, {
+      className: 'vimeo-hls-quality-menu',
+      title: 'Quality',
+      onSelect: (level) => this.player.setQuality(level)
+    });
+    this.player.on('qualitiesloaded', () => this.updateQualityMenu());
+    this.player.on('qualitychange', () => this.updateQualityMenu());
+
+    // Picture-in-Picture
+    this.pipBtn.hidden = !this.player.isPictureInPictureSupported();
+    this.pipBtn.addEventListener('click', () => this.player.togglePictureInPicture());
+    this.player.on('pipchange', (active) => {
+      this.pipBtn.setAttribute('aria-label', active ? 'Exit picture-in-picture' : 'Picture-in-picture');
+      this.pipBtn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+
+    // Cast / AirPlay, shown while a device is available
+    this.castBtn.hidden = !this.player.isRemotePlaybackAvailable();
+    this.castBtn.addEventListener('click', () => this.player.showRemotePlaybackPicker());
+    this.player.on('remoteavailabilitychange', (available) => {
+      this.castBtn.hidden = !available;
+    });
 
     // Fullscreen
     this.fullscreenBtn.addEventListener('click', () => this.player.toggleFullscreen());
-    document.addEventListener('fullscreenchange', () => this.updateFullscreenButton());
-    document.addEventListener('webkitfullscreenchange', () => this.updateFullscreenButton());
+    this.player.on('fullscreenchange', () => this.updateFullscreenButton());
 
-    // Auto-hide controls
-    this.container.addEventListener('mousemove', () => this.showControls());
-    this.container.addEventListener('mouseleave', () => this.hideControls());
+    // Auto-hide controls; touch shows them with a tap instead
+    this.container.addEventListener('pointermove', (e) => {
+      if (e.pointerType === 'mouse') {
+        this.showControls();
+      }
+    });
+    this.container.addEventListener('pointerleave', (e) => {
+      if (e.pointerType === 'mouse') {
+        this.hideControls();
+      }
+    });
     this.player.on('play', () => this.startAutoHide());
     this.player.on('pause', () => this.stopAutoHide());
+
+    // Keyboard users need the controls they're tabbing through to stay visible
+    this.controlsElement.addEventListener('focusin', () => {
+      if (this.hasKeyboardFocus()) {
+        this.showControls();
+      }
+    });
+    this.controlsElement.addEventListener('focusout', () => this.startAutoHide());
+
+    // Keyboard shortcuts
+    if (this.options.keyboard) {
+      const keyboardOptions = typeof this.options.keyboard === 'object' ? this.options.keyboard : {};
+      this.keyboard = new KeyboardShortcuts(this.player, this.container, {
+        ...keyboardOptions,
+        onAction: (action) => {
+          if (SEEK_ACTIONS.includes(action)) {
+            this.userSeek = true;
+          }
+          this.showControls();
+        }
+      });
+    }
   }
 
   updatePlayButton(isPlaying) {
-    if (isPlaying) {
-      this.playIcon.style.display = 'none';
-      this.pauseIcon.style.display = 'block';
-      this.playLargeBtn.style.display = 'none';
-    } else {
-      this.playIcon.style.display = 'block';
-      this.pauseIcon.style.display = 'none';
-      this.playLargeBtn.style.display = 'flex';
-    }
+    const label = isPlaying ? 'Pause' : 'Play';
+    this.playBtn.setAttribute('aria-label', label);
+    this.playLargeBtn.setAttribute('aria-label', label);
+
+    this.playIcon.hidden = isPlaying;
+    this.pauseIcon.hidden = !isPlaying;
+    this.playLargeBtn.hidden = isPlaying;
+  }
+
+  /**
+   * Show or hide the playlist buttons
+   * @param {object} state - { hasPrevious, hasNext, panel }
+   */
+  setPlaylistState({ hasPrevious, hasNext, panel }) {
+    this.previousBtn.hidden = !hasPrevious;
+    this.nextBtn.hidden = !hasNext;
+    this.playlistBtn.hidden = !panel;
+  }
+
+  /**
+   * Reflect whether the playlist panel is showing on its button
+   * @param {boolean} open - Panel visibility
+   */
+  setPlaylistOpen(open) {
+    this.playlistBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+  }
+
+  /**
+   * The stretch of the video the progress bar covers: the clip, or all of it
+   * @returns {{start: number, duration: number}} duration is 0 until known
+   */
+  getTimeline() {
+    const { start, end } = this.player.getClip();
+    return { start, duration: Math.max(0, end - start) || 0 };
+  }
+
+  /**
+   * Position on the timeline as a percentage
+   * @param {number} time - Media time in seconds
+   * @returns {number}
+   */
+  getTimelinePercent(time) {
+    const { start, duration } = this.getTimeline();
+    return duration ? Math.max(0, Math.min(100, ((time - start) / duration) * 100)) : 0;
   }
 
   updateProgress() {
-    const percent = (this.player.getCurrentTime() / this.player.getDuration()) * 100;
+    const percent = this.getTimelinePercent(this.player.getCurrentTime());
+    this.updateProgressValue();
     this.progressFilled.style.width = `${percent}%`;
     this.progressHandle.style.left = `${percent}%`;
 
-    const buffered = this.player.getBuffered();
-    this.progressBuffered.style.width = `${buffered}%`;
+    const buffered = (this.player.getBuffered() / 100) * this.player.getDuration();
+    this.progressBuffered.style.width = `${this.getTimelinePercent(buffered)}%`;
 
-    this.timeCurrent.textContent = this.formatTime(this.player.getCurrentTime());
+    this.timeCurrent.textContent = this.formatTime(this.getTimelineTime());
   }
 
   updateDuration() {
-    this.timeDuration.textContent = this.formatTime(this.player.getDuration());
+    this.timeDuration.textContent = this.formatTime(this.getTimeline().duration);
+    this.updateProgressValue();
+  }
+
+  /**
+   * Current time from the start of the timeline
+   */
+  getTimelineTime() {
+    const { start, duration } = this.getTimeline();
+    return Math.max(0, Math.min(duration || Infinity, this.player.getCurrentTime() - start));
+  }
+
+  updateProgressValue() {
+    const current = this.getTimelineTime();
+    const { duration } = this.getTimeline();
+
+    this.progressBar.setAttribute('aria-valuemax', String(Math.floor(duration)));
+    this.progressBar.setAttribute('aria-valuenow', String(Math.floor(current)));
+    this.progressBar.setAttribute('aria-valuetext', `${this.formatTime(current)} of ${this.formatTime(duration)}`);
+  }
+
+  handleProgressKey(e) {
+    const { start, duration } = this.getTimeline();
+    if (!duration) return;
+
+    const current = this.getTimelineTime();
+    const times = {
+      ArrowLeft: current - SLIDER_SEEK_STEP,
+      ArrowDown: current - SLIDER_SEEK_STEP,
+      ArrowRight: current + SLIDER_SEEK_STEP,
+      ArrowUp: current + SLIDER_SEEK_STEP,
+      PageDown: current - duration / 10,
+      PageUp: current + duration / 10,
+      Home: 0,
+      End: duration
+    };
+    if (!(e.key in times)) return;
+
+    // Handled here, so the player-wide shortcuts skip it
+    e.preventDefault();
+    this.userSeek = true;
+    this.player.seek(start + Math.max(0, Math.min(duration, times[e.key])));
+    this.showControls();
   }
 
   handleProgressClick(e) {
+    this.userSeek = true;
+    this.player.seek(this.getProgressTime(e));
+  }
+
+  /**
+   * Get the media time under the pointer on the progress bar
+   */
+  getProgressTime(e) {
     const rect = this.progressBar.getBoundingClientRect();
-    const percent = (e.clientX - rect.left) / rect.width;
-    const time = percent * this.player.getDuration();
-    this.player.seek(time);
+    const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    const { start, duration } = this.getTimeline();
+    return start + percent * duration;
+  }
+
+  updateProgressTooltip(e) {
+    const { start, duration } = this.getTimeline();
+    if (!duration) return;
+
+    const time = this.getProgressTime(e);
+    const chapter = this.player.getChapters()[this.player.getChapterAt(time)];
+    const thumbnails = this.getThumbnails();
+
+    this.tooltipTitle.textContent = chapter ? chapter.title : '';
+    this.tooltipTime.textContent = this.formatTime(time - start);
+    this.tooltipThumbnail.hidden = !(thumbnails && thumbnails.render(time, this.tooltipThumbnail));
+    this.progressTooltip.style.left = `${this.getTimelinePercent(time)}%`;
+    this.progressTooltip.hidden = false;
+  }
+
+  /**
+   * Preview source: the sprite sheet from the thumbnails option, or with
+   * thumbnails: 'stream', frames from the stream itself when it advertises
+   * an I-frame playlist
+   */
+  getThumbnails() {
+    if (this.options.thumbnails !== 'stream') {
+      if (this.thumbnails) {
+        this.thumbnails.load();
+      }
+      return this.thumbnails;
+    }
+
+    const sourceUrl = this.player.sourceUrl;
+    if (this.thumbnails && this.thumbnails.hlsUrl !== sourceUrl) {
+      this.thumbnails.destroy();
+      this.thumbnails = null;
+    }
+
+    if (!this.thumbnails && sourceUrl && this.player.hasIFramePlaylist()) {
+      this.thumbnails = new StreamThumbnails(sourceUrl);
+      this.thumbnails.load();
+    }
+    return this.thumbnails;
+  }
+
+  hideProgressTooltip() {
+    this.progressTooltip.hidden = true;
+  }
+
+  updateChapters() {
+    const chapters = this.player.getChapters();
+    const { start, duration } = this.getTimeline();
+
+    // Gaps between chapter segments inside the timeline; the first chapter needs none
+    this.progressChapters.innerHTML = '';
+    if (duration) {
+      chapters.slice(1)
+        .filter(chapter => chapter.startTime > start && chapter.startTime < start + duration)
+        .forEach(chapter => {
+          const gap = document.createElement('div');
+          gap.className = 'vimeo-hls-chapter-gap';
+          gap.style.left = `${this.getTimelinePercent(chapter.startTime)}%`;
+          this.progressChapters.appendChild(gap);
+        });
+    }
+
+    this.updateChaptersMenu();
+  }
+
+  updateChaptersMenu() {
+    const chapters = this.player.getChapters();
+
+    if (!chapters.length) {
+      this.chaptersMenu.close();
+      this.chaptersContainer.hidden = true;
+      return;
+    }
+
+    const current = this.player.getCurrentChapter();
+
+    this.chaptersMenu.setItems(chapters.map(chapter => ({
+      label: chapter.title,
+      value: chapter.index,
+      selected: chapter.index === current,
+      hint: this.formatTime(chapter.startTime)
+    })));
+    this.chaptersContainer.hidden = false;
   }
 
+  /**
+   * Highlight the A–B loop on the progress bar; with only A set, a marker
+   */
+  updateLoop() {
+    const loop = this.player.getLoop();
+    const label = !loop ? 'Set loop start' : loop.end === null ? 'Set loop end' : 'Turn off loop';
+
+    this.loopBtn.setAttribute('aria-label', label);
+    this.loopBtn.setAttribute('aria-pressed', loop && loop.end !== null ? 'true' : 'false');
+    this.loopBtn.classList.toggle('vimeo-hls-loop-pending', !!loop && loop.end === null);
+
+    if (!loop || !this.getTimeline().duration) {
+      this.progressLoop.hidden = true;
+      return;
+    }
+
+    const left = this.getTimelinePercent(loop.start);
+    const right = loop.end === null ? left : this.getTimelinePercent(loop.end);
+    this.progressLoop.style.left = `${left}%`;
+    this.progressLoop.style.width = `${right - left}%`;
+    this.progressLoop.classList.toggle('vimeo-hls-progress-loop-pending', loop.end === null);
+    this.progressLoop.hidden = false;
+  }
+
+  announceLoop(loop) {
+    const { start } = this.getTimeline();
+    if (!loop) {
+      this.announce('Loop off');
+    } else if (loop.end === null) {
+      this.announce(`Loop start set at ${this.formatTime(loop.start - start)}`);
+    } else {
+      this.announce(`Looping ${this.formatTime(loop.start - start)} to ${this.formatTime(loop.end - start)}`);
+    }
+  }
+
+  /**
+   * Start scrubbing. Capturing the pointer keeps the drag going when a finger
+   * or the mouse wanders off the bar.
+   */
   handleProgressDragStart(e) {
-    const onMouseMove = (e) => this.handleProgressClick(e);
-    const onMouseUp = () => {
-      document.removeEventListener('mousemove', onMouseMove);
-      document.removeEventListener('mouseup', onMouseUp);
-    };
+    if (e.button !== 0) return;
 
-    document.addEventListener('mousemove', onMouseMove);
-    document.addEventListener('mouseup', onMouseUp);
+    this.isDragging = true;
+    this.progressBar.setPointerCapture(e.pointerId);
+    this.handleProgressClick(e);
+    this.updateProgressTooltip(e);
+    this.showControls();
   }
 
-  updateVolumeButton() {
-    if (this.player.video.muted || this.player.getVolume() === 0) {
-      this.volumeHigh.style.display = 'none';
-      this.volumeMuted.style.display = 'block';
-      this.volumeFilled.style.height = '0%';
+  handleProgressDrag(e) {
+    if (this.isDragging) {
+      this.handleProgressClick(e);
+      this.showControls();
+    }
+    // Hovering with a mouse previews without seeking
+    if (this.isDragging || e.pointerType === 'mouse') {
+      this.updateProgressTooltip(e);
+    }
+  }
+
+  handleProgressDragEnd(e) {
+    if (!this.isDragging) return;
+
+    this.isDragging = false;
+    if (this.progressBar.hasPointerCapture(e.pointerId)) {
+      this.progressBar.releasePointerCapture(e.pointerId);
+    }
+
+    const rect = this.progressBar.getBoundingClientRect();
+    const over = e.clientX >= rect.left && e.clientX <= rect.right &&
+      e.clientY >= rect.top && e.clientY <= rect.bottom;
+    if (e.pointerType !== 'mouse' || !over) {
+      this.hideProgressTooltip();
+    }
+  }
+
+  /**
+   * Single tap toggles the controls; double taps on the left or right half
+   * seek back or forward, and each further quick tap adds another step
+   */
+  handleTap(e) {
+    const rect = this.overlay.getBoundingClientRect();
+    const direction = e.clientX - rect.left < rect.width / 2 ? -1 : 1;
+    const now = Date.now();
+    const last = this.lastTap;
+
+    if (last && now - last.time < DOUBLE_TAP_DELAY && last.direction === direction) {
+      clearTimeout(this.tapTimeout);
+      last.time = now;
+      last.count++;
+      this.userSeek = true;
+      this.player.seek(this.player.getCurrentTime() + direction * DOUBLE_TAP_SEEK);
+      this.showSeekRipple(direction, (last.count - 1) * DOUBLE_TAP_SEEK);
+      return;
+    }
+
+    this.lastTap = { time: now, direction, count: 1 };
+    clearTimeout(this.tapTimeout);
+    this.tapTimeout = setTimeout(() => {
+      this.lastTap = null;
+      this.toggleControls();
+    }, DOUBLE_TAP_DELAY);
+  }
+
+  showSeekRipple(direction, seconds) {
+    let ripple = this.overlay.querySelector('.vimeo-hls-seek-ripple');
+    if (ripple && ripple.dataset.direction !== String(direction)) {
+      ripple.remove();
+      ripple = null;
+    }
+
+    if (!ripple) {
+      ripple = document.createElement('div');
+      ripple.className = 'vimeo-hls-seek-ripple';
+      ripple.dataset.direction = direction;
+      ripple.setAttribute('aria-hidden', 'true');
+      ripple.addEventListener('animationend', () => ripple.remove());
+      this.overlay.appendChild(ripple);
+    }
+
+    ripple.textContent = `${direction < 0 ? '−' : '+'}${seconds}s`;
+
+    // Restart the animation for every tap
+    ripple.classList.remove('vimeo-hls-seek-ripple-active');
+    void ripple.offsetWidth;
+    ripple.classList.add('vimeo-hls-seek-ripple-active');
+  }
+
+  toggleControls() {
+    if (this.container.classList.contains('vimeo-hls-controls-visible')) {
+      this.stopAutoHide();
+      this.container.classList.remove('vimeo-hls-controls-visible');
     } else {
-      this.volumeHigh.style.display = 'block';
-      this.volumeMuted.style.display = 'none';
-      this.volumeFilled.style.height = `${this.player.getVolume() * 100}%`;
+      this.showControls();
     }
   }
 
-  handleVolumeClick(e) {
+  updateVolumeButton() {
+    const muted = this.player.video.muted || this.player.getVolume() === 0;
+    const volume = muted ? 0 : Math.round(this.player.getVolume() * 100);
+
+    this.volumeBtn.setAttribute('aria-label', muted ? 'Unmute' : 'Mute');
+    this.volumeSlider.setAttribute('aria-valuenow', String(volume));
+    this.volumeSlider.setAttribute('aria-valuetext', muted ? 'Muted' : `${volume}%`);
+
+    if (this.wasMuted !== null && this.wasMuted !== muted) {
+      this.announce(muted ? 'Muted' : 'Unmuted');
+    }
+    this.wasMuted = muted;
+
+    this.volumeHigh.hidden = muted;
+    this.volumeMuted.hidden = !muted;
+    this.volumeFilled.style.height = `${volume}%`;
+  }
+
+  handleVolumeDrag(e) {
     const rect = this.volumeSlider.getBoundingClientRect();
-    const percent = 1 - ((e.clientY - rect.top) / rect.height);
+    const percent = Math.max(0, Math.min(1, 1 - ((e.clientY - rect.top) / rect.height)));
     this.player.setVolume(percent);
     this.player.video.muted = false;
     this.updateVolumeButton();
   }
 
-  updateFullscreenButton() {
-    if (document.fullscreenElement || document.webkitFullscreenElement) {
-      this.fullscreenEnter.style.display = 'none';
-      this.fullscreenExit.style.display = 'block';
-    } else {
-      this.fullscreenEnter.style.display = 'block';
-      this.fullscreenExit.style.display = 'none';
+  handleVolumeKey(e) {
+    const volume = this.player.video.muted ? 0 : this.player.getVolume();
+    const volumes = {
+      ArrowUp: volume + SLIDER_VOLUME_STEP,
+      ArrowRight: volume + SLIDER_VOLUME_STEP,
+      ArrowDown: volume - SLIDER_VOLUME_STEP,
+      ArrowLeft: volume - SLIDER_VOLUME_STEP,
+      PageUp: volume + 0.2,
+      PageDown: volume - 0.2,
+      Home: 0,
+      End: 1
+    };
+    if (!(e.key in volumes)) return;
+
+    e.preventDefault();
+    this.player.video.muted = false;
+    this.player.setVolume(Math.max(0, Math.min(1, volumes[e.key])));
+  }
+
+  openVolumeSlider() {
+    clearTimeout(this.volumeCloseTimeout);
+    this.volumeContainer.classList.add('vimeo-hls-volume-open');
+    this.showControls();
+  }
+
+  scheduleVolumeClose() {
+    clearTimeout(this.volumeCloseTimeout);
+    this.volumeCloseTimeout = setTimeout(() => {
+      this.volumeContainer.classList.remove('vimeo-hls-volume-open');
+    }, 2000);
+  }
+
+  updateCaptionsMenu() {
+    const tracks = this.player.getTextTracks();
+
+    if (!tracks.length) {
+      this.captionsMenu.close();
+      this.captionsContainer.hidden = true;
+      return;
+    }
+
+    const active = this.player.getTextTrack();
+
+    this.captionsMenu.setItems([
+      { label: 'Off', value: -1, selected: active === -1 },
+      ...tracks.map(track => ({
+        label: track.label,
+        value: track.id,
+        selected: track.id === active,
+        hint: track.kind === 'captions' ? 'CC' : ''
+      }))
+    ]);
+    this.captionsBtn.setAttribute('aria-pressed', active === -1 ? 'false' : 'true');
+    this.captionsContainer.hidden = false;
+  }
+
+  updateSpeedMenu() {
+    const rates = this.options.playbackRates || [];
+
+    if (rates.length < 2) {
+      this.speedMenu.close();
+      this.speedContainer.hidden = true;
+      return;
     }
+
+    const current = this.player.getPlaybackRate();
+
+    this.speedMenu.setItems(rates.map(rate => ({
+      label: rate === 1 ? 'Normal' : `${rate}×`,
+      value: rate,
+      selected: rate === current
+    })));
+    this.speedLabel.textContent = `${current}×`;
+    this.speedContainer.hidden = false;
+  }
+
+  updateQualityMenu() {
+    const qualities = this.player.getQualities();
+
+    // Nothing to choose from on the native HLS path or single-rendition streams
+    if (qualities.length < 2) {
+      this.qualityMenu.close();
+      this.qualityContainer.hidden = true;
+      return;
+    }
+
+    const { level, auto, playing } = this.player.getQuality();
+    const playingQuality = qualities.find(quality => quality.index === playing);
+
+    this.qualityMenu.setItems([
+      {
+        label: 'Auto',
+        value: -1,
+        selected: auto,
+        hint: auto && playingQuality ? playingQuality.label : ''
+      },
+      ...qualities.map(quality => ({
+        label: quality.label,
+        value: quality.index,
+        selected: !auto && quality.index === level
+      }))
+    ]);
+    this.qualityContainer.hidden = false;
+  }
+
+  updateFullscreenButton() {
+    const isFullscreen = this.player.isFullscreen();
+    this.fullscreenBtn.setAttribute('aria-label', isFullscreen ? 'Exit fullscreen' : 'Fullscreen');
+
+    this.fullscreenEnter.hidden = isFullscreen;
+    this.fullscreenExit.hidden = !isFullscreen;
   }
 
   showControls() {
@@ -227,11 +1096,29 @@ export class VideoControls {
   }
 
   hideControls() {
+    // Keep controls up while a menu is open or something in them has focus
+    if (this.controlsElement.querySelector('.vimeo-hls-menu:not([hidden])') ||
+        this.hasKeyboardFocus()) {
+      return;
+    }
     if (!this.player.video.paused) {
       this.container.classList.remove('vimeo-hls-controls-visible');
     }
   }
 
+  /**
+   * Whether a control has keyboard focus. Clicked buttons keep focus too,
+   * but shouldn't pin the controls open.
+   */
+  hasKeyboardFocus() {
+    try {
+      return !!this.controlsElement.querySelector(':focus-visible');
+    } catch (error) {
+      // No :focus-visible support
+      return this.controlsElement.contains(document.activeElement);
+    }
+  }
+
   startAutoHide() {
     this.stopAutoHide();
     this.hideTimeout = setTimeout(() => this.hideControls(), 3000);
@@ -245,22 +1132,54 @@ export class VideoControls {
   }
 
   formatTime(seconds) {
-    if (isNaN(seconds)) return '0:00';
-
-    const h = Math.floor(seconds / 3600);
-    const m = Math.floor((seconds % 3600) / 60);
-    const s = Math.floor(seconds % 60);
+    return formatTime(seconds);
+  }
 
-    if (h > 0) {
-      return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
-    }
-    return `${m}:${s.toString().padStart(2, '0')}`;
+  /**
+   * Read a message to screen readers through the live region
+   * @param {string} message - Text to announce
+   * @param {number} delay - Wait this long (ms) and only announce the latest message
+   */
+  announce(message, delay = 0) {
+    clearTimeout(this.announceTimeout);
+    this.announceTimeout = setTimeout(() => {
+      this.liveRegion.textContent = message;
+    }, delay);
   }
 
   destroy() {
     if (this.controlsElement) {
       this.controlsElement.remove();
     }
+    if (this.keyboard) {
+      this.keyboard.destroy();
+    }
+    if (this.qualityMenu) {
+      this.qualityMenu.destroy();
+    }
+    if (this.captionsMenu) {
+      this.captionsMenu.destroy();
+    }
+    if (this.speedMenu) {
+      this.speedMenu.destroy();
+    }
+    if (this.chaptersMenu) {
+      this.chaptersMenu.destroy();
+    }
+    if (this.thumbnails) {
+      this.thumbnails.destroy();
+    }
+    this.customComponents.forEach(component => {
+      if (typeof component.destroy === 'function') {
+        component.destroy();
+      }
+    });
+    this.customComponents = [];
+    this.buttons.clear();
     this.stopAutoHide();
+    clearTimeout(this.tapTimeout);
+    clearTimeout(this.volumeHoldTimeout);
+    clearTimeout(this.volumeCloseTimeout);
+    clearTimeout(this.announceTimeout);
   }
 }
@@ -0,0 +1,128 @@
+/**
+ * Page-wide playback coordination. Starting an exclusive player pauses the
+ * other exclusive players in its group, and play state is announced as DOM
+ * events so page scripts (carousels, sliders) can react without a reference
+ * to any player:
+ *
+ *   vimeohls:play / vimeohls:pause - bubble from the player's container
+ *   vimeohls:activechange          - on document, when the page goes from no
+ *                                     player playing to one playing, or back
+ */
+export class PlayerCoordinator {
+  constructor() {
+    this.players = new Map();
+    this.active = false;
+    this.listeners = {
+      play: [],
+      pause: [],
+      activechange: []
+    };
+  }
+
+  /**
+   * Start coordinating a player
+   * @param {object} instance - VimeoHLSPlayer
+   */
+  register(instance) {
+    if (this.players.has(instance)) return;
+
+    const handlers = {
+      play: () => this.handlePlay(instance),
+      pause: () => this.handlePause(instance)
+    };
+    instance.player.on('play', handlers.play);
+    instance.player.on('pause', handlers.pause);
+    this.players.set(instance, handlers);
+  }
+
+  unregister(instance) {
+    const handlers = this.players.get(instance);
+    if (!handlers) return;
+
+    instance.player.off('play', handlers.play);
+    instance.player.off('pause', handlers.pause);
+    this.players.delete(instance);
+    this.updateActive();
+  }
+
+  /**
+   * Players in a group
+   * @param {string} group - Group name
+   * @returns {Array}
+   */
+  getGroup(group) {
+    return Array.from(this.players.keys()).filter(instance => instance.options.group === group);
+  }
+
+  /**
+   * Players that are currently playing, optionally only in one group
+   * @param {string} group - Group name
+   * @returns {Array}
+   */
+  getPlaying(group = null) {
+    return Array.from(this.players.keys()).filter(instance =>
+      !instance.videoElement.paused && (group === null || instance.options.group === group)
+    );
+  }
+
+  /**
+   * Pause every player, or every player in a group
+   * @param {string} group - Group name
+   * @param {object} except - Player to leave alone
+   */
+  pauseAll(group = null, except = null) {
+    this.getPlaying(group)
+      .filter(instance => instance !== except)
+      .forEach(instance => instance.pause());
+  }
+
+  handlePlay(instance) {
+    if (instance.options.exclusive) {
+      this.getPlaying(instance.options.group)
+        .filter(other => other !== instance && other.options.exclusive)
+        .forEach(other => other.pause());
+    }
+
+    this.dispatch(instance, 'play');
+    this.updateActive();
+  }
+
+  handlePause(instance) {
+    this.dispatch(instance, 'pause');
+    this.updateActive();
+  }
+
+  dispatch(instance, event) {
+    const detail = { player: instance, group: instance.options.group };
+    this.emit(event, detail);
+    instance.container.dispatchEvent(new CustomEvent(`vimeohls:${event}`, { bubbles: true, detail }));
+  }
+
+  updateActive() {
+    const active = this.getPlaying().length > 0;
+    if (active === this.active) return;
+
+    this.active = active;
+    const detail = { playing: active, players: this.getPlaying() };
+    this.emit('activechange', detail);
+    document.dispatchEvent(new CustomEvent('vimeohls:activechange', { detail }));
+  }
+
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Error codes carried by PlayerError
+ */
+export const ERROR_CODES = {
+  VIMEO_PRIVATE: 'VIMEO_PRIVATE',
+  VIMEO_NOT_FOUND: 'VIMEO_NOT_FOUND',
+  TOKEN_REQUIRED: 'TOKEN_REQUIRED',
+  SOURCE_EXPIRED: 'SOURCE_EXPIRED',
+  NO_STREAM: 'NO_STREAM',
+  PLAYLIST_EMPTY: 'PLAYLIST_EMPTY',
+  NETWORK: 'NETWORK',
+  MEDIA: 'MEDIA',
+  UNSUPPORTED: 'UNSUPPORTED',
+  AUTOPLAY_BLOCKED: 'AUTOPLAY_BLOCKED',
+  ABORTED: 'ABORTED',
+  UNKNOWN: 'UNKNOWN'
+};
+
+// Headings for the error overlay
+const TITLES = {
+  VIMEO_PRIVATE: 'This video is private',
+  VIMEO_NOT_FOUND: 'Video not found',
+  TOKEN_REQUIRED: 'This video needs an access token',
+  SOURCE_EXPIRED: 'The video link has expired',
+  NO_STREAM: 'No stream is available for this video',
+  PLAYLIST_EMPTY: 'The playlist is empty',
+  NETWORK: 'Network error',
+  MEDIA: 'The video could not be played',
+  UNSUPPORTED: 'This video can\'t be played in this browser',
+  AUTOPLAY_BLOCKED: 'Autoplay was blocked',
+  ABORTED: 'Loading was cancelled',
+  UNKNOWN: 'Failed to load video'
+};
+
+// Trying again can't fix these
+const PERMANENT = ['VIMEO_PRIVATE', 'VIMEO_NOT_FOUND', 'TOKEN_REQUIRED', 'NO_STREAM', 'PLAYLIST_EMPTY', 'UNSUPPORTED'];
+
+/**
+ * Error with a code from ERROR_CODES. Fatal errors stop playback;
+ * the others are reported but playback continues.
+ */
+export class PlayerError extends Error {
+  constructor(code, message, options = {}) {
+    super(message || TITLES[code] || TITLES.UNKNOWN);
+    this.name = 'PlayerError';
+    this.code = ERROR_CODES[code] ? code : ERROR_CODES.UNKNOWN;
+    this.fatal = options.fatal !== false;
+    this.cause = options.cause || null;
+    // Raw hls.js error data, HTTP status and the like
+    this.details = options.details || null;
+  }
+
+  get title() {
+    return TITLES[this.code];
+  }
+
+  get retryable() {
+    return !PERMANENT.includes(this.code);
+  }
+
+  /**
+   * Wrap any thrown value in a PlayerError
+   * @param {*} error - Error, PlayerError or message
+   * @param {string} code - Code to use when it isn't a PlayerError already
+   * @returns {PlayerError}
+   */
+  static from(error, code = ERROR_CODES.UNKNOWN) {
+    if (error instanceof PlayerError) {
+      return error;
+    }
+    // fetch() rejects with a TypeError when the request never gets a response
+    if (error instanceof TypeError && code === ERROR_CODES.UNKNOWN) {
+      code = ERROR_CODES.NETWORK;
+    }
+    const message = error && error.message ? error.message : String(error || '');
+    return new PlayerError(code, message, { cause: error instanceof Error ? error : null });
+  }
+
+  /**
+   * Error for a failed HTTP response from Vimeo or a resolver
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   * @returns {PlayerError}
+   */
+  static fromStatus(status, message) {
+    const codes = {
+      401: ERROR_CODES.TOKEN_REQUIRED,
+      403: ERROR_CODES.VIMEO_PRIVATE,
+      404: ERROR_CODES.VIMEO_NOT_FOUND,
+      410: ERROR_CODES.VIMEO_NOT_FOUND
+    };
+    return new PlayerError(codes[status] || ERROR_CODES.NETWORK, message, { details: { status } });
+  }
+}
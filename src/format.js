@@ -0,0 +1,17 @@
+/**
+ * Format seconds as m:ss or h:mm:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string}
+ */
+export function formatTime(seconds) {
+  if (isNaN(seconds)) return '0:00';
+
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+
+  if (h > 0) {
+    return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+  }
+  return `${m}:${s.toString().padStart(2, '0')}`;
+}
@@ -1,8 +1,27 @@
 import { HLSPlayer } from './player.js';
 import { VideoControls } from './controls.js';
 import { VimeoAPI } from './vimeo.js';
+import { AutoInit } from './autoinit.js';
+import { CaptionRenderer } from './captions.js';
+import { normalizePlaylistItem, PlaylistPanel } from './playlist.js';
+import { Analytics } from './analytics.js';
+import { ResumePosition } from './resume.js';
+import { ViewportObserver } from './viewport.js';
+import { PlayerCoordinator } from './coordinator.js';
+import { MediaSessionController } from './mediasession.js';
+import { applyTheme } from './theme.js';
+import { registerComponent } from './components.js';
+import { ERROR_CODES, PlayerError } from './errors.js';
+import { BackgroundToggle, prefersStillImage } from './background.js';
+import { buildShareUrl, getTimeFromUrl, parseTime } from './timelinks.js';
 import './styles.css';
 
+// Live players, keyed by container element
+const registry = new Map();
+
+// Pauses other players when one starts, per group
+const coordinator = new PlayerCoordinator();
+
 /**
  * VimeoHLSPlayer - Custom HLS video player for Vimeo videos
  */
@@ -21,19 +40,209 @@ class VimeoHLSPlayer {
       vimeoId: null,
       hlsUrl: null,
       vimeoAccessToken: null,
+      title: null,
+      artist: null,
+      resolver: null,
+      cache: true,
       autoplay: false,
       muted: false,
       controls: true,
       aspectRatio: '16:9',
       poster: null,
+      keyboard: true,
+      theme: null,
+      icons: {},
+      controlsLayout: null,
+      buttons: [],
+      captions: [],
+      chapters: [],
+      thumbnails: null,
+      playbackRate: 1,
+      playbackRates: [0.5, 0.75, 1, 1.25, 1.5, 2],
+      // Only play part of the first video: seconds or "1m30s"
+      startTime: 0,
+      endTime: null,
+      // Start at the #t= / ?t= time in the page URL
+      deepLink: false,
+      // Frames per second for frame stepping; null reads it from the stream
+      frameRate: null,
+      playlist: null,
+      analytics: false,
+      resume: false,
+      lazy: false,
+      autoplayVisible: false,
+      pauseOffscreen: false,
+      autoPictureInPicture: false,
+      mediaSession: true,
+      exclusive: true,
+      group: 'default',
+      maxRetries: 3,
+      retryDelay: 1000,
+      // (error, player) => {} - replaces the built-in error overlay
+      onError: null,
+      // true, or { pauseButton } - silent looping video that fills its container
+      background: false,
       ...options
     };
 
+    // Background videos are decoration: silent, looping and without controls,
+    // and they never pause other players or take over the lock screen
+    if (this.options.background) {
+      Object.assign(this.options, {
+        autoplay: true,
+        muted: true,
+        controls: false,
+        keyboard: false,
+        exclusive: false,
+        mediaSession: false,
+        autoPictureInPicture: false,
+        resume: false,
+        deepLink: false
+      });
+    }
+
     this.player = null;
     this.controls = null;
+    this.captions = null;
     this.videoElement = null;
+    this.vimeoSource = null;
+    this.lastRefresh = 0;
+    this.playlist = [];
+    this.playlistIndex = -1;
+    this.playlistPanel = null;
+    this.analytics = null;
+    this.resume = null;
+    this.viewport = null;
+    this.mediaSession = null;
+    this.sourceLoading = null;
+    this.pausedOffscreen = false;
+    this.enteredPictureInPicture = false;
+    this.userPaused = false;
+    this.backgroundToggle = null;
+    this.posterOnly = false;
+    this.errorElement = null;
+    this.lastError = null;
+    this.title = this.options.title;
+    // Poster chosen for the current video; Vimeo's is used when there's none
+    this.poster = this.options.poster;
+    this.loadCount = 0;
+    this.waitCount = 0;
+    // Bumped for every source, so a slow Vimeo lookup can't replace a newer video
+    this.sourceCount = 0;
+
+    registry.set(this.container, this);
 
-    this.initialize();
+    const initializing = this.initialize();
+    initializing.catch(error => {
+      if (this.player) {
+        this.reportError(error);
+      } else {
+        console.error('Error initializing player:', error);
+      }
+    });
+
+    // Resolves with the player once the first video can play, rejects with a
+    // PlayerError if it fails to load
+    if (!this.player) {
+      this.ready = initializing.then(() => this);
+    } else {
+      this.ready = this.posterOnly ? Promise.resolve(this) : this.waitForSource();
+    }
+    // Rejections still reach callers; this only stops them being logged as unhandled
+    this.ready.catch(() => {});
+  }
+
+  /**
+   * Get every live player on the page
+   * @returns {VimeoHLSPlayer[]}
+   */
+  static getAll() {
+    return Array.from(registry.values());
+  }
+
+  /**
+   * Get the player attached to a container
+   * @param {HTMLElement|string} element - Container element or selector
+   * @returns {VimeoHLSPlayer|null}
+   */
+  static get(element) {
+    if (typeof element === 'string') {
+      element = document.querySelector(element);
+    }
+    return registry.get(element) || null;
+  }
+
+  /**
+   * Pause every playing player, or only those in a group
+   * @param {string} group - Group name
+   */
+  static pauseAll(group = null) {
+    coordinator.pauseAll(group);
+  }
+
+  /**
+   * Get the players in a group
+   * @param {string} group - Group name
+   * @returns {VimeoHLSPlayer[]}
+   */
+  static getGroup(group) {
+    return coordinator.getGroup(group);
+  }
+
+  /**
+   * Get the players that are currently playing
+   * @param {string} group - Optional group name
+   * @returns {VimeoHLSPlayer[]}
+   */
+  static getPlaying(group = null) {
+    return coordinator.getPlaying(group);
+  }
+
+  /**
+   * Listen for page-wide playback events: play, pause, activechange
+   * @param {string} event - Event name
+   * @param {Function} callback - Receives { player, group } or { playing, players }
+   */
+  static on(event, callback) {
+    coordinator.on(event, callback);
+  }
+
+  static off(event, callback) {
+    coordinator.off(event, callback);
+  }
+
+  /**
+   * Forget all cached Vimeo stream metadata
+   */
+  static clearCache() {
+    VimeoAPI.clearCache();
+  }
+
+  /**
+   * Forget every saved resume position
+   * @param {string} storage - 'local' or 'session'
+   */
+  static clearSavedPositions(storage = 'local') {
+    ResumePosition.clearAll(storage);
+  }
+
+  /**
+   * Register a custom controls component for use in controlsLayout
+   * @param {string} name - Component name
+   * @param {Function} Component - Class constructed as new Component(player, controls),
+   *   exposing an element and optionally destroy()
+   */
+  static registerComponent(name, Component) {
+    registerComponent(name, Component);
+  }
+
+  /**
+   * Create players for [data-vimeo-hls] elements that don't have one yet
+   * @param {ParentNode} root - Element or document to scan
+   * @returns {VimeoHLSPlayer[]} Newly created players
+   */
+  static initAll(root = document) {
+    return autoInit.scan(root);
   }
 
   async initialize() {
@@ -43,34 +252,434 @@ class VimeoHLSPlayer {
     // Initialize HLS player
     this.player = new HLSPlayer(this.videoElement, {
       autoplay: this.options.autoplay,
-      muted: this.options.muted,
+      // Browsers only allow autoplay without a click when muted
+      muted: this.options.muted || this.options.autoplayVisible,
       controls: false,
+      playbackRate: this.options.playbackRate,
+      maxRetries: this.options.maxRetries,
+      retryDelay: this.options.retryDelay,
+      loop: !!this.options.background,
+      startTime: parseTime(this.options.startTime) || 0,
+      endTime: parseTime(this.options.endTime),
+      frameRate: this.options.frameRate,
+      // Backgrounds start on the lightest rendition and never fetch more than they can show
+      hlsConfig: this.options.background ? { startLevel: 0, capLevelToPlayerSize: true } : {},
       container: this.container
     });
+    // Decorative backgrounds stay out of getPlaying(), pauseAll() and the page play events
+    if (!this.options.background) {
+      coordinator.register(this);
+    }
+
+    // Captions render above the control bar, with or without custom controls
+    this.captions = new CaptionRenderer(this.player, this.container);
+    this.addTextTracks(this.options.captions);
+    if (this.options.chapters && this.options.chapters.length) {
+      this.player.setChapters(this.options.chapters);
+    }
 
     // Add custom controls if enabled
     if (this.options.controls) {
-      this.controls = new VideoControls(this.player, this.container);
+      this.controls = new VideoControls(this.player, this.container, {
+        keyboard: this.options.keyboard,
+        playbackRates: this.options.playbackRates,
+        thumbnails: this.options.thumbnails,
+        icons: this.options.icons,
+        layout: this.options.controlsLayout,
+        context: this,
+        onPrevious: () => this.previous(),
+        onNext: () => this.next(),
+        onTogglePlaylist: () => this.togglePlaylistPanel()
+      });
+      this.options.buttons.forEach(button => this.controls.addButton(button));
+    }
+
+    // Visitors who asked for less motion or less data only get the poster
+    const background = this.getBackgroundOptions();
+    this.posterOnly = !!background && prefersStillImage();
+
+    if (background && background.pauseButton && !this.posterOnly) {
+      this.backgroundToggle = new BackgroundToggle(this.player, this.container, {
+        icons: this.options.icons
+      });
+    }
+
+    if (this.options.analytics) {
+      const analyticsOptions = typeof this.options.analytics === 'object' && !Array.isArray(this.options.analytics)
+        ? this.options.analytics
+        : { adapters: Array.isArray(this.options.analytics) ? this.options.analytics : undefined };
+
+      this.analytics = new Analytics(this.player, {
+        ...analyticsOptions,
+        adapters: analyticsOptions.adapters || ['dataLayer'],
+        getContext: () => ({
+          videoId: this.vimeoSource ? this.vimeoSource.videoId : null,
+          title: this.title,
+          url: this.player.sourceUrl
+        })
+      });
+    }
+
+    if (this.options.resume) {
+      this.resume = new ResumePosition(this.player, this.container, {
+        ...(typeof this.options.resume === 'object' ? this.options.resume : {}),
+        getKey: () => this.getResumeKey()
+      });
+    }
+
+    // A shared link's time beats the saved position
+    const linkTime = this.options.deepLink ? getTimeFromUrl(window.location.href) : null;
+    if (linkTime !== null) {
+      if (this.resume) {
+        this.resume.skipNext();
+      }
+      this.player.once('loadedmetadata', () => this.player.seek(linkTime));
     }
 
-    // Load video source
-    if (this.options.hlsUrl) {
-      await this.loadHLS(this.options.hlsUrl);
-    } else if (this.options.vimeoId) {
-      await this.loadVimeo(this.options.vimeoId, this.options.vimeoAccessToken);
+    // Lock screen and media key controls
+    if (this.options.mediaSession) {
+      this.mediaSession = new MediaSessionController(this.player, {
+        getMetadata: () => ({ title: this.title, artist: this.options.artist }),
+        onPrevious: () => this.previous(),
+        onNext: () => this.next(),
+        hasPrevious: () => this.playlist.length > 1,
+        hasNext: () => this.hasNext()
+      });
+      this.player.on('itemchange', () => this.mediaSession.update());
     }
 
-    // Handle errors
+    // Advance to the next playlist item when one ends
+    this.player.on('ended', () => {
+      if (this.playlist.length && this.getPlaylistOptions().autoAdvance && this.hasNext()) {
+        this.next();
+      }
+    });
+
+    // Signed Vimeo manifest URLs expire; fetch a fresh one instead of failing
+    this.player.on('sourceexpired', () => this.refreshSource());
+
+    // Fatal errors stop playback; the rest are only reported to listeners
     this.player.on('error', (error) => {
-      this.showError('Failed to load video', error.message || 'Unknown error');
+      if (error.fatal && !this.recoverSource(error)) {
+        this.handleError(error);
+      }
     });
+
+    // A working source clears any earlier error
+    this.player.on('loadedmetadata', () => {
+      this.container.classList.remove('loading');
+      this.hideError();
+      if (this.vimeoSource) {
+        this.vimeoSource.refreshed = false;
+      }
+    });
+
+    if (this.posterOnly) {
+      await this.loadPosterOnly();
+      return;
+    }
+
+    const { lazy, autoplayVisible, pauseOffscreen, autoPictureInPicture } = this.options;
+
+    if (lazy || autoplayVisible || pauseOffscreen || autoPictureInPicture) {
+      this.watchViewport();
+    }
+
+    // Lazy players load their source once they scroll near the viewport
+    if (!lazy) {
+      await this.loadInitialSource();
+    }
+  }
+
+  /**
+   * Load the source from the options; only runs once
+   * @returns {Promise}
+   */
+  loadInitialSource() {
+    if (!this.sourceLoading) {
+      this.sourceLoading = (async () => {
+        if (this.options.playlist) {
+          await this.loadPlaylist(this.options.playlist);
+        } else if (this.options.hlsUrl) {
+          await this.loadHLS(this.options.hlsUrl);
+        } else if (this.options.vimeoId) {
+          await this.loadVimeo(this.options.vimeoId, this.options.vimeoAccessToken);
+        }
+      })();
+    }
+    return this.sourceLoading;
+  }
+
+  getBackgroundOptions() {
+    const background = this.options.background;
+    if (!background) {
+      return null;
+    }
+    return {
+      pauseButton: false,
+      ...(typeof background === 'object' ? background : {})
+    };
+  }
+
+  /**
+   * Show a background video's poster without loading the video
+   */
+  async loadPosterOnly() {
+    if (this.poster || !this.options.vimeoId) return;
+
+    const videoId = VimeoAPI.extractVideoId(this.options.vimeoId) || this.options.vimeoId;
+    const posterUrl = await VimeoAPI.getPosterFromOEmbed(videoId);
+    if (posterUrl) {
+      this.videoElement.poster = posterUrl;
+    }
+  }
+
+  /**
+   * Wait for the source being loaded to become playable
+   * @returns {Promise<VimeoHLSPlayer>} Rejects with the PlayerError if it fails first
+   */
+  waitForSource() {
+    // Failed before anyone could listen (e.g. HLS unsupported)
+    if (this.player.getState() === 'error' && this.lastError) {
+      return Promise.reject(this.lastError);
+    }
+
+    const namespace = `.source${++this.waitCount}`;
+
+    return new Promise((resolve, reject) => {
+      this.player.once(`ready${namespace}`, () => {
+        this.player.off(namespace);
+        resolve(this);
+      });
+      this.player.on(`error${namespace}`, (error) => {
+        if (!error.fatal) return;
+        this.player.off(namespace);
+        reject(error);
+      });
+    });
+  }
+
+  watchViewport() {
+    const lazyOptions = typeof this.options.lazy === 'object' ? this.options.lazy : {};
+
+    // Tell our own pauses apart from the viewer's, so scrolling back only resumes ours
+    this.player.on('play', () => {
+      this.pausedOffscreen = false;
+      this.userPaused = false;
+    });
+    this.player.on('pause', () => {
+      if (!this.pausedOffscreen && !this.videoElement.ended) {
+        this.userPaused = true;
+      }
+    });
+
+    this.viewport = new ViewportObserver(this.container, {
+      rootMargin: lazyOptions.rootMargin || '200px',
+      onNear: this.options.lazy ? () => this.loadInitialSource() : null,
+      onVisible: () => this.handleVisible(),
+      onHidden: () => this.handleHidden()
+    });
+  }
+
+  async handleVisible() {
+    // Back on screen: leave the Picture-in-Picture window we opened
+    if (this.enteredPictureInPicture) {
+      this.enteredPictureInPicture = false;
+      if (this.player.isPictureInPicture()) {
+        this.player.exitPictureInPicture();
+      }
+    }
+
+    const shouldPlay = this.pausedOffscreen ||
+      (this.options.autoplayVisible && !this.userPaused && !this.videoElement.ended);
+    if (!shouldPlay || !this.sourceLoading) return;
+
+    await this.sourceLoading;
+
+    // Still on screen once the source is ready?
+    if (this.viewport && this.viewport.visible && this.videoElement.paused) {
+      this.player.play();
+    }
+  }
+
+  async handleHidden() {
+    if (this.videoElement.paused || this.player.isPictureInPicture()) return;
+
+    // Keep watching in a floating window instead of pausing, where the browser
+    // allows it. Without a recent click it usually doesn't, so refusals are expected.
+    if (this.options.autoPictureInPicture && document.pictureInPictureEnabled &&
+        this.player.isPictureInPictureSupported()) {
+      this.enteredPictureInPicture = await this.player.enterPictureInPicture({ silent: true });
+      if (this.enteredPictureInPicture) return;
+    }
+
+    if (this.options.pauseOffscreen) {
+      this.pausedOffscreen = true;
+      this.player.pause();
+    }
+  }
+
+  getPlaylistOptions() {
+    const playlist = this.options.playlist;
+    return {
+      items: [],
+      showcase: null,
+      resolver: null,
+      autoAdvance: true,
+      loop: false,
+      panel: false,
+      ...(Array.isArray(playlist) ? { items: playlist } : playlist)
+    };
+  }
+
+  /**
+   * Load the playlist (items or a Vimeo showcase) and cue its first item
+   * @param {Array|object} playlist - Items, or { items | showcase, resolver, autoAdvance, loop, panel }
+   */
+  async loadPlaylist(playlist) {
+    this.options.playlist = playlist;
+    const options = this.getPlaylistOptions();
+
+    try {
+      let items = options.items;
+      if (options.showcase) {
+        items = await VimeoAPI.getShowcaseVideos(options.showcase, {
+          accessToken: this.options.vimeoAccessToken,
+          resolver: options.resolver
+        });
+      }
+      this.playlist = items.map(normalizePlaylistItem);
+    } catch (error) {
+      this.reportError(error);
+      return;
+    }
+
+    if (!this.playlist.length) {
+      this.reportError(new PlayerError(ERROR_CODES.PLAYLIST_EMPTY));
+      return;
+    }
+
+    if (options.panel && !this.playlistPanel) {
+      this.playlistPanel = new PlaylistPanel(this.container, {
+        onSelect: (index) => this.playIndex(index)
+      });
+    }
+
+    this.playlistIndex = -1;
+    await this.loadItem(0);
+    this.fillPlaylistTitles();
+  }
+
+  /**
+   * Switch the existing player to a playlist item
+   * @param {number} index - Playlist index
+   */
+  async loadItem(index) {
+    const item = this.playlist[index];
+    if (!item) return;
+
+    // A new playlist item is a new view
+    if (this.analytics) {
+      this.analytics.endView();
+    }
+
+    // Drop the previous video's tracks and chapters; the first item keeps the instance options
+    if (this.playlistIndex !== -1 || this.loadCount > 0) {
+      this.player.setClip(0, null);
+      this.player.clearTextTracks();
+      this.player.setChapters(item.chapters);
+      this.poster = item.poster;
+      this.videoElement.poster = item.poster || '';
+    } else {
+      if (item.chapters.length) {
+        this.player.setChapters(item.chapters);
+      }
+      if (item.poster) {
+        this.poster = item.poster;
+        this.videoElement.poster = item.poster;
+      }
+    }
+
+    this.playlistIndex = index;
+    this.vimeoSource = null;
+    this.title = item.title;
+    this.addTextTracks(item.captions);
+    this.updatePlaylistUI();
+
+    if (item.hlsUrl) {
+      await this.loadHLS(item.hlsUrl);
+    } else if (item.vimeoId) {
+      await this.loadVimeo(item.vimeoId, item.accessToken || this.options.vimeoAccessToken);
+    }
+
+    this.player.emit('itemchange', { index, item });
+  }
+
+  /**
+   * Look up missing titles and posters through oEmbed for the playlist panel
+   */
+  async fillPlaylistTitles() {
+    if (!this.playlistPanel) return;
+
+    await Promise.all(this.playlist.map(async (item) => {
+      if (item.vimeoId && (!item.title || !item.poster)) {
+        const data = await VimeoAPI.getOEmbed(VimeoAPI.extractVideoId(item.vimeoId) || item.vimeoId);
+        if (data) {
+          item.title = item.title || data.title;
+          item.poster = item.poster || data.thumbnail_url;
+        }
+      }
+    }));
+    this.updatePlaylistUI();
+  }
+
+  updatePlaylistUI() {
+    if (this.controls) {
+      this.controls.setPlaylistState({
+        hasPrevious: this.playlist.length > 1,
+        hasNext: this.hasNext(),
+        panel: !!this.playlistPanel
+      });
+    }
+    if (this.playlistPanel) {
+      this.playlistPanel.render(this.playlist, this.playlistIndex);
+    }
+  }
+
+  togglePlaylistPanel(force) {
+    if (this.playlistPanel) {
+      this.playlistPanel.toggle(force);
+      if (this.controls) {
+        this.controls.setPlaylistOpen(this.playlistPanel.isOpen);
+      }
+    }
+  }
+
+  hasNext() {
+    return this.playlistIndex < this.playlist.length - 1 ||
+      (this.getPlaylistOptions().loop && this.playlist.length > 1);
+  }
+
+  /**
+   * Storage key for the current video's resume position. Vimeo videos are keyed
+   * by ID, since their manifest URLs are signed and change between visits.
+   * @returns {string|null}
+   */
+  getResumeKey() {
+    if (this.vimeoSource) {
+      return `vimeo:${this.vimeoSource.videoId}`;
+    }
+    return this.player.sourceUrl ? `hls:${this.player.sourceUrl}` : null;
   }
 
   setupContainer() {
     this.container.classList.add('vimeo-hls-player');
+    applyTheme(this.container, this.options.theme);
 
-    // Set aspect ratio
-    if (this.options.aspectRatio) {
+    // Background videos take the container's own size
+    if (this.options.background) {
+      this.container.classList.add('vimeo-hls-background');
+    } else if (this.options.aspectRatio) {
       const [width, height] = this.options.aspectRatio.split(':').map(Number);
       const paddingTop = (height / width) * 100;
       this.container.style.paddingTop = `${paddingTop}%`;
@@ -87,8 +696,28 @@ class VimeoHLSPlayer {
     this.videoElement.style.width = '100%';
     this.videoElement.style.height = '100%';
 
-    if (this.options.poster) {
-      this.videoElement.poster = this.options.poster;
+    if (this.poster) {
+      this.videoElement.poster = this.poster;
+    }
+
+    if (this.options.background) {
+      // iOS only autoplays inline, muted videos; the muted attribute (not just
+      // the property) has to be there before playback starts
+      this.videoElement.setAttribute('playsinline', '');
+      this.videoElement.setAttribute('muted', '');
+      this.videoElement.setAttribute('aria-hidden', 'true');
+      this.videoElement.disablePictureInPicture = true;
+      this.videoElement.disableRemotePlayback = true;
+      this.container.appendChild(this.videoElement);
+      return;
+    }
+
+    // Offer AirPlay in Safari's device picker
+    this.videoElement.setAttribute('x-webkit-airplay', 'allow');
+
+    // Browsers that support it also float the video when the tab is left
+    if (this.options.autoPictureInPicture) {
+      this.videoElement.setAttribute('autopictureinpicture', '');
     }
 
     this.container.appendChild(this.videoElement);
@@ -99,16 +728,13 @@ class VimeoHLSPlayer {
    * @param {string} hlsUrl - HLS manifest URL
    */
   async loadHLS(hlsUrl) {
+    this.sourceCount++;
     try {
       this.container.classList.add('loading');
       this.player.loadSource(hlsUrl);
-
-      this.player.on('loadedmetadata', () => {
-        this.container.classList.remove('loading');
-      });
     } catch (error) {
       this.container.classList.remove('loading');
-      this.showError('Failed to load HLS stream', error.message);
+      this.reportError(error);
     }
   }
 
@@ -118,39 +744,93 @@ class VimeoHLSPlayer {
    * @param {string} accessToken - Optional Vimeo access token
    */
   async loadVimeo(vimeoId, accessToken = null) {
+    const sourceCount = ++this.sourceCount;
     try {
       this.container.classList.add('loading');
 
       // Extract video ID if URL provided
       const videoId = VimeoAPI.extractVideoId(vimeoId) || vimeoId;
+      const hash = VimeoAPI.extractHash(vimeoId);
+      this.vimeoSource = { vimeoId, videoId, hash, accessToken, resolved: false };
 
-      // Always try to get poster from oEmbed first (CORS-friendly, no token required)
-      if (!this.options.poster) {
-        const posterUrl = await VimeoAPI.getPosterFromOEmbed(videoId);
-        if (posterUrl) {
-          this.videoElement.poster = posterUrl;
-        }
+      const videoData = this.getCachedVimeo(videoId, hash) ||
+        await this.resolveVimeo(videoId, hash, accessToken);
+      if (sourceCount !== this.sourceCount) return;
+      this.vimeoSource.resolved = true;
+      this.vimeoSource.fallbackUrls = (videoData.fallbackUrls || []).slice();
+
+      if (videoData.posterUrl && !this.poster) {
+        this.videoElement.poster = videoData.posterUrl;
+      }
+
+      this.title = this.title || videoData.title;
+      this.addTextTracks(videoData.textTracks);
+      // Vimeo's chapters only fill in for a video that brought none of its own
+      if (videoData.chapters && videoData.chapters.length && !this.player.getChapters().length) {
+        this.player.setChapters(videoData.chapters);
+      }
+
+      await this.loadHLS(videoData.hlsUrl);
+      this.container.classList.remove('loading');
+    } catch (error) {
+      // Another video has been loaded since; this one's failure doesn't matter
+      if (sourceCount !== this.sourceCount) return;
+      this.container.classList.remove('loading');
+      this.reportError(error);
+    }
+  }
+
+  getCachedVimeo(videoId, hash) {
+    if (!this.options.cache) {
+      return null;
+    }
+    return VimeoAPI.getCached(videoId, hash, this.getCacheOptions());
+  }
+
+  getCacheOptions() {
+    return typeof this.options.cache === 'object' ? this.options.cache : {};
+  }
+
+  /**
+   * Look up the HLS URL, poster, title and text tracks for a Vimeo video
+   * and store them in the cache
+   * @param {string} videoId - Vimeo video ID
+   * @param {string|null} hash - Privacy hash for unlisted videos
+   * @param {string} accessToken - Optional Vimeo access token
+   * @returns {Promise<object>} Object containing hlsUrl, posterUrl, title, textTracks and chapters
+   */
+  async resolveVimeo(videoId, hash, accessToken = null) {
+    let videoData = null;
+
+    // A resolver (usually the bundled server handler) replaces every client-side lookup
+    if (this.options.resolver) {
+      videoData = await VimeoAPI.resolve(this.options.resolver, videoId, hash);
+    } else {
+      // Always try to get poster and title from oEmbed first (CORS-friendly, no token required)
+      const oembed = !this.poster || !this.title ? await VimeoAPI.getOEmbed(videoId) : null;
+      if (oembed?.thumbnail_url && !this.poster) {
+        this.videoElement.poster = oembed.thumbnail_url;
       }
 
       // Try to get HLS URL from player config (may be blocked by CORS in browsers)
       try {
-        const videoData = await VimeoAPI.getHLSFromPlayer(videoId);
+        const playerData = await VimeoAPI.getHLSFromPlayer(videoId);
 
-        // Update poster if we got a higher quality one
-        if (videoData.posterUrl && !this.options.poster) {
-          this.videoElement.poster = videoData.posterUrl;
-        }
-
-        await this.loadHLS(videoData.hlsUrl);
-        this.container.classList.remove('loading');
-        return;
+        videoData = {
+          hlsUrl: playerData.hlsUrl,
+          fallbackUrls: playerData.fallbackUrls,
+          posterUrl: playerData.posterUrl,
+          title: playerData.title || oembed?.title || null,
+          textTracks: playerData.textTracks,
+          chapters: []
+        };
       } catch (error) {
         // Check if it's a CORS error
         if (error.message.includes('CORS_ERROR')) {
           console.log('CORS blocked direct player access. Trying Vimeo API with access token...');
 
           if (!accessToken) {
-            throw new Error('A Vimeo access token is required to load HLS streams. Please provide vimeoAccessToken option. Visit https://developer.vimeo.com/apps to create one.');
+            throw new PlayerError(ERROR_CODES.TOKEN_REQUIRED, 'A Vimeo access token is required to load HLS streams. Please provide vimeoAccessToken option. Visit https://developer.vimeo.com/apps to create one.');
           }
         } else {
           console.log('Could not get HLS from player, trying API...', error.message);
@@ -158,44 +838,323 @@ class VimeoHLSPlayer {
       }
 
       // Fallback to API (requires access token)
-      if (accessToken) {
-        const videoData = await VimeoAPI.getVideoData(videoId, accessToken);
-
-        // Update poster from API if we got one
-        if (videoData.thumbnail && !this.options.poster) {
-          this.videoElement.poster = videoData.thumbnail;
+      if (!videoData) {
+        if (!accessToken) {
+          throw new PlayerError(ERROR_CODES.TOKEN_REQUIRED, 'A Vimeo access token is required. Please add vimeoAccessToken option to your player configuration. Get one at https://developer.vimeo.com/apps');
         }
 
-        if (videoData.hlsUrl) {
-          await this.loadHLS(videoData.hlsUrl);
-        } else {
-          throw new Error('No HLS stream available for this video');
+        const apiData = await VimeoAPI.getVideoData(videoId, accessToken);
+
+        if (!apiData.hlsUrl) {
+          throw new PlayerError(ERROR_CODES.NO_STREAM, 'No HLS stream available for this video');
         }
-      } else {
-        throw new Error('A Vimeo access token is required. Please add vimeoAccessToken option to your player configuration. Get one at https://developer.vimeo.com/apps');
+
+        videoData = {
+          hlsUrl: apiData.hlsUrl,
+          fallbackUrls: [],
+          posterUrl: apiData.thumbnail,
+          title: apiData.title,
+          textTracks: apiData.textTracks,
+          chapters: apiData.chapters
+        };
       }
+    }
 
-      this.container.classList.remove('loading');
+    if (this.options.cache) {
+      VimeoAPI.setCached(videoId, hash, videoData, this.getCacheOptions());
+    }
+
+    return videoData;
+  }
+
+  /**
+   * Re-resolve a Vimeo source whose signed manifest URL expired mid-session,
+   * then continue from the same position
+   */
+  async refreshSource() {
+    const now = Date.now();
+
+    // Only retry once per minute, so a stream that is really gone still shows an error
+    if (!this.vimeoSource || (this.lastRefresh && now - this.lastRefresh < 60000)) {
+      if (this.useFallbackSource()) return;
+      this.reportError(new PlayerError(ERROR_CODES.SOURCE_EXPIRED, 'The video stream has expired or access was denied'));
+      return;
+    }
+    this.lastRefresh = now;
+
+    await this.reloadSource();
+  }
+
+  /**
+   * Try to keep a fatally failed Vimeo source playing before reporting it
+   * @param {PlayerError} error - Fatal error from the player
+   * @returns {boolean} Whether a recovery was started
+   */
+  recoverSource(error) {
+    if (!this.vimeoSource || !this.vimeoSource.resolved) return false;
+
+    // Vimeo serves the stream from several CDNs; try the next before giving up
+    if (error.code === ERROR_CODES.NETWORK && this.useFallbackSource()) {
+      return true;
+    }
+
+    // Safari's native HLS reports an expired signed URL as a plain media
+    // error, not a 403, so resolve the video again once
+    const fromVideoElement = typeof MediaError !== 'undefined' && error.details instanceof MediaError;
+    if (fromVideoElement && !this.vimeoSource.refreshed &&
+      (error.code === ERROR_CODES.NETWORK || error.code === ERROR_CODES.UNSUPPORTED)) {
+      this.vimeoSource.refreshed = true;
+      this.refreshSource();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Switch to the next CDN's copy of the current Vimeo stream
+   * @returns {boolean} Whether there was one left to try
+   */
+  useFallbackSource() {
+    const urls = this.vimeoSource && this.vimeoSource.fallbackUrls;
+    if (!urls || !urls.length) return false;
+
+    console.warn('Stream failed, trying another CDN');
+    this.reloadSource(urls.shift());
+    return true;
+  }
+
+  /**
+   * Load the current stream again and continue from the same position.
+   * Vimeo sources are resolved again, in case their URL went stale.
+   * @param {string} hlsUrl - Manifest to switch to instead, e.g. another CDN's copy
+   */
+  async reloadSource(hlsUrl = null) {
+    const currentTime = this.player.getCurrentTime();
+    const wasPlaying = !this.videoElement.paused;
+
+    try {
+      if (!hlsUrl && this.vimeoSource) {
+        const { videoId, hash, accessToken } = this.vimeoSource;
+        VimeoAPI.invalidate(videoId, hash);
+        const videoData = await this.resolveVimeo(videoId, hash, accessToken);
+        hlsUrl = videoData.hlsUrl;
+        this.vimeoSource.fallbackUrls = (videoData.fallbackUrls || []).slice();
+      }
+      hlsUrl = hlsUrl || this.player.sourceUrl;
+
+      this.videoElement.addEventListener('loadedmetadata', () => {
+        if (currentTime) {
+          this.player.seek(currentTime);
+        }
+        if (wasPlaying) {
+          this.player.play();
+        }
+      }, { once: true });
+
+      this.player.loadSource(hlsUrl);
     } catch (error) {
-      this.container.classList.remove('loading');
-      this.showError('Failed to load Vimeo video', error.message);
+      this.reportError(error);
+    }
+  }
+
+  /**
+   * Try again after a fatal error: reload the stream if one was playing,
+   * otherwise start loading from scratch
+   */
+  async retry() {
+    this.hideError();
+
+    if (this.vimeoSource && !this.vimeoSource.resolved) {
+      const { vimeoId, accessToken } = this.vimeoSource;
+      await this.loadVimeo(vimeoId, accessToken);
+    } else if (this.player.sourceUrl) {
+      await this.reloadSource();
+    } else {
+      this.sourceLoading = null;
+      await this.loadInitialSource();
     }
   }
 
-  showError(title, message) {
-    const errorEl = document.createElement('div');
-    errorEl.className = 'vimeo-hls-error';
-    errorEl.innerHTML = `
-      <h3>${title}</h3>
-      <p>${message}</p>
-    `;
-    this.container.appendChild(errorEl);
+  /**
+   * Register WebVTT caption tracks with the player
+   * @param {Array<object>} tracks - { src, language, label, kind, default }
+   */
+  addTextTracks(tracks) {
+    (tracks || []).forEach(track => this.player.addTextTrack(track));
+  }
+
+  /**
+   * Report a load failure as a fatal player error, so error listeners,
+   * the ready and load() promises and handleError all hear about it
+   * @param {*} error - Error, PlayerError or message
+   */
+  reportError(error) {
+    this.player.reportError(PlayerError.from(error));
+  }
+
+  /**
+   * Show a fatal error through onError, or the built-in overlay
+   * @param {PlayerError} error - Error from the player
+   */
+  handleError(error) {
+    this.lastError = error;
+    this.container.classList.remove('loading');
+    console.error(`Player error (${error.code}):`, error.message);
+
+    if (typeof this.options.onError === 'function') {
+      try {
+        this.options.onError(error, this);
+      } catch (hookError) {
+        console.error('Error in onError handler:', hookError);
+      }
+      return;
+    }
+
+    this.showError(error);
+  }
+
+  /**
+   * Show the error overlay. One overlay is reused; later errors replace its text.
+   * @param {PlayerError} error - Error to show
+   */
+  showError(error) {
+    error = PlayerError.from(error);
+
+    if (!this.errorElement) {
+      const errorEl = document.createElement('div');
+      errorEl.className = 'vimeo-hls-error';
+      errorEl.setAttribute('role', 'alert');
+      errorEl.innerHTML = `
+        <h3 class="vimeo-hls-error-title"></h3>
+        <p class="vimeo-hls-error-message"></p>
+        <button type="button" class="vimeo-hls-error-retry">Retry</button>
+      `;
+      errorEl.querySelector('.vimeo-hls-error-retry').addEventListener('click', () => this.retry());
+      this.container.appendChild(errorEl);
+      this.errorElement = errorEl;
+    }
+
+    this.errorElement.dataset.code = error.code;
+    this.errorElement.querySelector('.vimeo-hls-error-title').textContent = error.title;
+    const message = this.errorElement.querySelector('.vimeo-hls-error-message');
+    message.textContent = error.message;
+    message.hidden = error.message === error.title;
+    this.errorElement.querySelector('.vimeo-hls-error-retry').hidden = !error.retryable;
+    this.container.classList.add('vimeo-hls-has-error');
+  }
+
+  hideError() {
+    this.lastError = null;
+    this.container.classList.remove('vimeo-hls-has-error');
+
+    if (this.errorElement) {
+      this.errorElement.remove();
+      this.errorElement = null;
+    }
+  }
+
+  /**
+   * The last fatal error, or null once playback recovers
+   * @returns {PlayerError|null}
+   */
+  getError() {
+    return this.lastError;
   }
 
   /**
    * Public API methods
    */
 
+  /**
+   * Change the theme: a preset name or theme variables (see applyTheme)
+   * @param {string|object} theme - Theme
+   */
+  setTheme(theme) {
+    applyTheme(this.container, theme);
+  }
+
+  /**
+   * Add a custom button to the controls (see VideoControls.addButton)
+   * @param {object} button - { id, label, icon, text, zone, index, className, onClick }
+   * @returns {HTMLButtonElement|null}
+   */
+  addButton(button) {
+    return this.controls ? this.controls.addButton(button) : null;
+  }
+
+  removeButton(id) {
+    if (this.controls) {
+      this.controls.removeButton(id);
+    }
+  }
+
+  /**
+   * Switch to another video without recreating the player
+   * @param {object|string} source - { vimeoId | hlsUrl, poster, title, startTime,
+   *   accessToken, captions, chapters }, or a Vimeo ID/URL or manifest URL
+   * @returns {Promise<VimeoHLSPlayer>} Resolves once the new video can play;
+   *   rejects with a PlayerError if it fails to load, or with an ABORTED one
+   *   if another load() starts first
+   */
+  load(source) {
+    const item = normalizePlaylistItem(source || {});
+    const { vimeoId, hlsUrl, poster, title, accessToken = this.options.vimeoAccessToken } = item;
+    const startTime = parseTime(item.startTime) || 0;
+
+    if (!vimeoId && !hlsUrl) {
+      return Promise.reject(new PlayerError(ERROR_CODES.UNKNOWN, 'load() needs a vimeoId or hlsUrl'));
+    }
+
+    const loadCount = ++this.loadCount;
+    this.hideError();
+    if (this.analytics) {
+      this.analytics.endView();
+    }
+
+    // Forget everything about the previous video
+    this.player.setClip(0, null);
+    this.player.clearTextTracks();
+    this.player.setChapters(item.chapters);
+    this.poster = poster;
+    this.videoElement.poster = poster || '';
+    this.title = title;
+    this.vimeoSource = null;
+    this.lastRefresh = 0;
+    this.playlistIndex = -1;
+    this.updatePlaylistUI();
+    this.addTextTracks(item.captions);
+
+    // A fresh hls.js instance, so no buffers, levels or retry state carry over
+    this.player.destroyHls();
+
+    const loaded = this.waitForSource();
+    this.sourceLoading = (hlsUrl ? this.loadHLS(hlsUrl) : this.loadVimeo(vimeoId, accessToken))
+      // Analytics and the media session treat it like a new playlist item
+      .then(() => {
+        if (loadCount === this.loadCount) {
+          this.player.emit('itemchange', { index: -1, item });
+        }
+      });
+
+    // The player's ready and error events are shared, so a later load() could
+    // settle this promise with its own video
+    const superseded = () => loadCount !== this.loadCount;
+    const aborted = () => new PlayerError(ERROR_CODES.ABORTED, 'Another video was loaded first', { fatal: false });
+
+    return loaded.then(() => {
+      if (superseded()) {
+        throw aborted();
+      }
+      if (startTime) {
+        this.player.seek(startTime);
+      }
+      return this;
+    }, (error) => {
+      throw superseded() ? aborted() : error;
+    });
+  }
+
   play() {
     return this.player.play();
   }
@@ -232,32 +1191,293 @@ class VimeoHLSPlayer {
     return this.player.getDuration();
   }
 
+  getPlaybackRate() {
+    return this.player.getPlaybackRate();
+  }
+
+  setPlaybackRate(rate) {
+    this.player.setPlaybackRate(rate);
+  }
+
+  getChapters() {
+    return this.player.getChapters();
+  }
+
+  getCurrentChapter() {
+    return this.player.getCurrentChapter();
+  }
+
+  setChapter(index) {
+    this.player.setChapter(index);
+  }
+
+  setChapters(chapters) {
+    this.player.setChapters(chapters);
+  }
+
+  /**
+   * Only play part of the video
+   * @param {number|string} start - Clip start: seconds or "1m30s"
+   * @param {number|string|null} end - Clip end, or null for the end of the video
+   */
+  setClip(start = 0, end = null) {
+    this.player.setClip(parseTime(start) || 0, parseTime(end));
+  }
+
+  getClip() {
+    return this.player.getClip();
+  }
+
+  /**
+   * Loop between two points (A–B loop)
+   * @param {number|string} start - Loop start (A)
+   * @param {number|string|null} end - Loop end (B); null marks A and waits for B
+   */
+  setLoop(start, end = null) {
+    this.player.setLoop(parseTime(start) || 0, parseTime(end));
+  }
+
+  clearLoop() {
+    this.player.clearLoop();
+  }
+
+  getLoop() {
+    return this.player.getLoop();
+  }
+
+  /**
+   * Whether the current seek is a clip or loop wrap rather than a real seek
+   */
+  isWrapping() {
+    return this.player.isWrapping();
+  }
+
+  /**
+   * Mark A at the current time, then B, then turn the loop off
+   */
+  cycleLoop() {
+    this.player.cycleLoop();
+  }
+
+  stepFrame(direction = 1) {
+    this.player.stepFrame(direction);
+  }
+
+  /**
+   * Link to this page that starts the video at a given time (#t=1m30s)
+   * @param {number} time - Seconds; defaults to the current time
+   * @returns {string}
+   */
+  getShareUrl(time = this.player.getCurrentTime()) {
+    return buildShareUrl(window.location.href, time);
+  }
+
+  /**
+   * Copy getShareUrl() to the clipboard
+   * @param {number} time - Seconds; defaults to the current time
+   * @returns {Promise<string>} The copied link
+   */
+  async copyShareUrl(time) {
+    const url = this.getShareUrl(time);
+    if (!navigator.clipboard) {
+      throw new Error('Clipboard access needs a secure (https) page');
+    }
+    await navigator.clipboard.writeText(url);
+    return url;
+  }
+
+  getQualities() {
+    return this.player.getQualities();
+  }
+
+  getQuality() {
+    return this.player.getQuality();
+  }
+
+  setQuality(level) {
+    this.player.setQuality(level);
+  }
+
+  getTextTracks() {
+    return this.player.getTextTracks();
+  }
+
+  getTextTrack() {
+    return this.player.getTextTrack();
+  }
+
+  setTextTrack(id) {
+    return this.player.setTextTrack(id);
+  }
+
+  /**
+   * Saved resume position for the current video
+   * @returns {number|null} Position in seconds
+   */
+  getSavedPosition() {
+    return this.resume ? this.resume.get() : null;
+  }
+
+  clearSavedPosition() {
+    if (this.resume) {
+      this.resume.clear();
+    }
+  }
+
+  /**
+   * Enter Picture-in-Picture. Call it from a click or key press; browsers
+   * usually refuse it otherwise.
+   * @returns {Promise<boolean>} Whether the video is now in Picture-in-Picture
+   */
+  enterPictureInPicture() {
+    return this.player.enterPictureInPicture();
+  }
+
+  /**
+   * Leave Picture-in-Picture
+   * @returns {Promise<void>}
+   */
+  exitPictureInPicture() {
+    return this.player.exitPictureInPicture();
+  }
+
+  /**
+   * Whether the video is in Picture-in-Picture
+   * @returns {boolean}
+   */
+  isPictureInPicture() {
+    return this.player.isPictureInPicture();
+  }
+
+  /**
+   * Playlist API
+   */
+
+  getPlaylist() {
+    return this.playlist.slice();
+  }
+
+  getPlaylistIndex() {
+    return this.playlistIndex;
+  }
+
+  async playIndex(index) {
+    if (!this.playlist[index]) return;
+    await this.loadItem(index);
+    return this.player.play();
+  }
+
+  next() {
+    if (this.playlistIndex < this.playlist.length - 1) {
+      return this.playIndex(this.playlistIndex + 1);
+    }
+    if (this.getPlaylistOptions().loop) {
+      return this.playIndex(0);
+    }
+  }
+
+  previous() {
+    // Like most players: restart the current item unless we're near its start
+    if (this.player.getCurrentTime() > 3) {
+      this.player.seek(0);
+      return;
+    }
+    if (this.playlistIndex > 0) {
+      return this.playIndex(this.playlistIndex - 1);
+    }
+    if (this.getPlaylistOptions().loop && this.playlist.length > 1) {
+      return this.playIndex(this.playlist.length - 1);
+    }
+    this.player.seek(0);
+  }
+
+  /**
+   * Listen for a player event; see HLSPlayer.on for namespaces and payloads
+   * @param {string} event - Event name, optionally with a namespace ("play.myplugin")
+   * @param {Function} callback - Called with (data, detail)
+   */
   on(event, callback) {
     this.player.on(event, callback);
   }
 
+  once(event, callback) {
+    this.player.once(event, callback);
+  }
+
+  /**
+   * Remove listeners: off('play', fn), off('play.myplugin') or off('.myplugin')
+   * @param {string} event - Event name and/or namespace
+   * @param {Function} callback - Listener to remove
+   */
   off(event, callback) {
     this.player.off(event, callback);
   }
 
+  /**
+   * Current playback state
+   * @returns {string} idle, loading, ready, playing, paused, buffering, ended or error
+   */
+  getState() {
+    return this.player.getState();
+  }
+
   destroy() {
+    if (this.analytics) {
+      this.analytics.destroy();
+    }
+    if (this.resume) {
+      this.resume.destroy();
+    }
+    if (this.mediaSession) {
+      this.mediaSession.destroy();
+    }
+    if (this.viewport) {
+      this.viewport.destroy();
+      this.viewport = null;
+    }
     if (this.controls) {
       this.controls.destroy();
     }
+    if (this.captions) {
+      this.captions.destroy();
+    }
+    if (this.backgroundToggle) {
+      this.backgroundToggle.destroy();
+    }
+    if (this.playlistPanel) {
+      this.playlistPanel.destroy();
+    }
     if (this.player) {
+      coordinator.unregister(this);
       this.player.destroy();
     }
     if (this.videoElement) {
       this.videoElement.remove();
     }
-    this.container.classList.remove('vimeo-hls-player');
+    this.hideError();
+    this.container.classList.remove('vimeo-hls-player', 'vimeo-hls-background');
+
+    if (registry.get(this.container) === this) {
+      registry.delete(this.container);
+    }
   }
 }
 
+// For checks like error.code === VimeoHLSPlayer.ERROR_CODES.NETWORK
+VimeoHLSPlayer.ERROR_CODES = ERROR_CODES;
+VimeoHLSPlayer.PlayerError = PlayerError;
+
+const autoInit = new AutoInit(VimeoHLSPlayer);
+
 // Export for use as module or global
 export default VimeoHLSPlayer;
 
 // Make available globally for Webflow
 if (typeof window !== 'undefined') {
   window.VimeoHLSPlayer = VimeoHLSPlayer;
+
+  // Set window.VimeoHLSPlayerAutoInit = false before loading the script to opt out
+  if (window.VimeoHLSPlayerAutoInit !== false) {
+    autoInit.start();
+  }
 }
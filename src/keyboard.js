@@ -0,0 +1,198 @@
+/**
+ * Default key bindings, keyed by action name.
+ * Values are KeyboardEvent.key values; letters are matched case-insensitively.
+ */
+export const DEFAULT_KEYMAP = {
+  togglePlay: [' ', 'k'],
+  seekBackward: ['ArrowLeft'],
+  seekForward: ['ArrowRight'],
+  volumeUp: ['ArrowUp'],
+  volumeDown: ['ArrowDown'],
+  toggleMute: ['m'],
+  toggleFullscreen: ['f'],
+  seekPercent: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'],
+  cycleLoop: ['r'],
+  frameBackward: [','],
+  frameForward: ['.']
+};
+
+// The player that most recently received a click, tap or focus
+let activeInstance = null;
+
+/**
+ * Focus-scoped keyboard shortcuts for a single player
+ */
+export class KeyboardShortcuts {
+  constructor(player, container, options = {}) {
+    this.player = player;
+    this.container = container;
+    this.options = {
+      seekStep: 5,
+      volumeStep: 0.1,
+      onAction: null,
+      ...options
+    };
+    this.keymap = this.buildKeymap(options.keys);
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.activate = this.activate.bind(this);
+    this.deactivate = this.deactivate.bind(this);
+
+    this.attachEventListeners();
+  }
+
+  /**
+   * Invert the action -> keys map into a key -> action lookup.
+   * Passing null or [] for an action disables it.
+   * @param {object} keys - Overrides for DEFAULT_KEYMAP
+   * @returns {Map<string, string>}
+   */
+  buildKeymap(keys = {}) {
+    const actions = { ...DEFAULT_KEYMAP, ...keys };
+    const keymap = new Map();
+
+    Object.keys(actions).forEach(action => {
+      (actions[action] || []).forEach(key => {
+        keymap.set(this.normalizeKey(key), action);
+      });
+    });
+
+    return keymap;
+  }
+
+  normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  attachEventListeners() {
+    // Containers need to be focusable to receive shortcuts directly
+    if (!this.container.hasAttribute('tabindex')) {
+      this.container.setAttribute('tabindex', '0');
+    }
+
+    this.container.addEventListener('mousedown', this.activate);
+    this.container.addEventListener('touchstart', this.activate, { passive: true });
+    this.container.addEventListener('focusin', this.activate);
+    document.addEventListener('keydown', this.handleKeyDown);
+    // Clicking or tabbing anywhere else on the page gives the keys back to it
+    document.addEventListener('pointerdown', this.deactivate);
+    document.addEventListener('focusin', this.deactivate);
+  }
+
+  activate() {
+    activeInstance = this;
+  }
+
+  deactivate(e) {
+    if (activeInstance === this && !this.container.contains(e.target)) {
+      activeInstance = null;
+    }
+  }
+
+  /**
+   * Shortcuts fire when focus is inside this player, or when nothing else
+   * has focus and this was the last player the user interacted with.
+   */
+  isActive() {
+    const focused = document.activeElement;
+    if (focused && this.container.contains(focused)) {
+      return true;
+    }
+    const nothingFocused = !focused || focused === document.body || focused === document.documentElement;
+    return nothingFocused && activeInstance === this;
+  }
+
+  isEditable(target) {
+    if (!target || !target.tagName) return false;
+    const tag = target.tagName.toLowerCase();
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable;
+  }
+
+  handleKeyDown(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (this.isEditable(e.target) || !this.isActive()) return;
+
+    const key = this.normalizeKey(e.key);
+    const action = this.keymap.get(key);
+    if (!action) return;
+
+    // Let focused buttons handle their own activation keys
+    if ((key === ' ' || key === 'Enter') && e.target.tagName === 'BUTTON') return;
+
+    e.preventDefault();
+    this.perform(action, key);
+  }
+
+  /**
+   * Run a shortcut action against the player
+   * @param {string} action - Action name from the keymap
+   * @param {string} key - Normalized key that triggered it
+   */
+  perform(action, key) {
+    const { seekStep, volumeStep } = this.options;
+    const duration = this.player.getDuration();
+
+    switch (action) {
+      case 'togglePlay':
+        this.player.togglePlay();
+        break;
+      case 'seekBackward':
+        this.player.seek(Math.max(0, this.player.getCurrentTime() - seekStep));
+        break;
+      case 'seekForward':
+        this.player.seek(Math.min(duration || Infinity, this.player.getCurrentTime() + seekStep));
+        break;
+      case 'volumeUp':
+        this.player.video.muted = false;
+        this.player.setVolume(this.player.getVolume() + volumeStep);
+        break;
+      case 'volumeDown':
+        this.player.setVolume(this.player.getVolume() - volumeStep);
+        break;
+      case 'toggleMute':
+        this.player.toggleMute();
+        break;
+      case 'toggleFullscreen':
+        this.player.toggleFullscreen();
+        break;
+      case 'seekPercent': {
+        // Percentages of the clip, when only part of the video plays.
+        // Keys remapped to something other than a digit have no percentage.
+        if (!/^\d$/.test(key)) return;
+        const { start, end } = this.player.getClip();
+        if (end - start) {
+          this.player.seek(start + (Number(key) / 10) * (end - start));
+        }
+        break;
+      }
+      case 'cycleLoop':
+        this.player.cycleLoop();
+        break;
+      case 'frameBackward':
+        this.player.stepFrame(-1);
+        break;
+      case 'frameForward':
+        this.player.stepFrame(1);
+        break;
+      default:
+        return;
+    }
+
+    if (this.options.onAction) {
+      this.options.onAction(action);
+    }
+  }
+
+  destroy() {
+    this.container.removeEventListener('mousedown', this.activate);
+    this.container.removeEventListener('touchstart', this.activate);
+    this.container.removeEventListener('focusin', this.activate);
+    document.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('pointerdown', this.deactivate);
+    document.removeEventListener('focusin', this.deactivate);
+
+    if (activeInstance === this) {
+      activeInstance = null;
+    }
+  }
+}
@@ -0,0 +1,149 @@
+const ACTIONS = ['play', 'pause', 'stop', 'seekbackward', 'seekforward', 'seekto', 'previoustrack', 'nexttrack'];
+
+// The page has one media session, so the player that played last owns it
+let owner = null;
+
+/**
+ * Lock screen, notification and hardware media key integration through
+ * navigator.mediaSession
+ */
+export class MediaSessionController {
+  constructor(player, options = {}) {
+    this.player = player;
+    this.video = player.video;
+    this.options = {
+      // () => ({ title, artist, album, artwork })
+      getMetadata: () => ({}),
+      onPrevious: null,
+      onNext: null,
+      hasPrevious: () => false,
+      hasNext: () => false,
+      seekStep: 10,
+      ...options
+    };
+    this.handlers = [];
+
+    if (MediaSessionController.isSupported()) {
+      this.attachEventListeners();
+    }
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+  }
+
+  listen(event, handler) {
+    this.video.addEventListener(event, handler);
+    this.handlers.push([event, handler]);
+  }
+
+  attachEventListeners() {
+    this.listen('play', () => {
+      owner = this;
+      this.update();
+    });
+
+    ['pause', 'loadedmetadata', 'durationchange', 'ratechange', 'seeked', 'timeupdate'].forEach(event => {
+      this.listen(event, () => {
+        if (owner === this) {
+          this.updatePlaybackState();
+        }
+      });
+    });
+  }
+
+  /**
+   * Refresh metadata, actions and position, if this player owns the session
+   */
+  update() {
+    if (owner !== this) return;
+    this.updateMetadata();
+    this.updateActions();
+    this.updatePlaybackState();
+  }
+
+  updateMetadata() {
+    const { title, artist, album, artwork } = this.options.getMetadata() || {};
+    const image = artwork || this.video.poster;
+
+    try {
+      navigator.mediaSession.metadata = new window.MediaMetadata({
+        title: title || '',
+        artist: artist || '',
+        album: album || '',
+        artwork: image ? [{ src: image }] : []
+      });
+    } catch (error) {
+      // Invalid artwork URL or no MediaMetadata constructor
+      console.warn('Could not set media session metadata:', error);
+    }
+  }
+
+  updateActions() {
+    const { seekStep, onPrevious, onNext, hasPrevious, hasNext } = this.options;
+    const clampSeek = (time) => this.player.seek(Math.max(0, Math.min(this.player.getDuration() || 0, time)));
+
+    const actions = {
+      play: () => this.player.play(),
+      pause: () => this.player.pause(),
+      stop: () => {
+        this.player.pause();
+        this.player.seek(0);
+      },
+      seekbackward: (details) => clampSeek(this.player.getCurrentTime() - (details.seekOffset || seekStep)),
+      seekforward: (details) => clampSeek(this.player.getCurrentTime() + (details.seekOffset || seekStep)),
+      seekto: (details) => {
+        // fastSeek() goes around seek(), so keep the time inside the clip here
+        const { start, end } = this.player.getClip();
+        const time = Math.max(start, isNaN(end) ? details.seekTime : Math.min(end, details.seekTime));
+        if (details.fastSeek && typeof this.video.fastSeek === 'function') {
+          this.video.fastSeek(time);
+        } else {
+          this.player.seek(time);
+        }
+      },
+      // Without a handler the OS hides the track buttons
+      previoustrack: onPrevious && hasPrevious() ? () => onPrevious() : null,
+      nexttrack: onNext && hasNext() ? () => onNext() : null
+    };
+
+    ACTIONS.forEach(action => this.setAction(action, actions[action]));
+  }
+
+  setAction(action, handler) {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch (error) {
+      // Action not supported by this browser
+    }
+  }
+
+  updatePlaybackState() {
+    navigator.mediaSession.playbackState = this.video.paused ? 'paused' : 'playing';
+
+    const duration = this.video.duration;
+    if (!navigator.mediaSession.setPositionState || !isFinite(duration) || !duration) return;
+
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate: this.video.playbackRate || 1,
+        position: Math.min(this.video.currentTime, duration)
+      });
+    } catch (error) {
+      // Position state rejected (e.g. mid source change)
+    }
+  }
+
+  destroy() {
+    this.handlers.forEach(([event, handler]) => this.video.removeEventListener(event, handler));
+    this.handlers = [];
+
+    if (owner === this) {
+      owner = null;
+      ACTIONS.forEach(action => this.setAction(action, null));
+      navigator.mediaSession.metadata = null;
+      navigator.mediaSession.playbackState = 'none';
+    }
+  }
+}
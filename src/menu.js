@@ -0,0 +1,209 @@
+/**
+ * Popup menu anchored to a control bar button. Follows the ARIA menu button
+ * pattern: opening focuses the checked item, the arrow keys, Home and End
+ * move between items, and closing hands focus back to the button.
+ */
+export class ControlMenu {
+  constructor(button, options = {}) {
+    this.button = button;
+    this.options = {
+      className: '',
+      title: '',
+      onSelect: null,
+      ...options
+    };
+    this.items = [];
+    this.isOpen = false;
+
+    this.handleDocumentClick = this.handleDocumentClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleMenuKeyDown = this.handleMenuKeyDown.bind(this);
+
+    this.createMenu();
+    this.attachEventListeners();
+  }
+
+  createMenu() {
+    const menu = document.createElement('div');
+    menu.className = `vimeo-hls-menu ${this.options.className}`.trim();
+    menu.hidden = true;
+
+    if (this.options.title) {
+      const title = document.createElement('div');
+      title.className = 'vimeo-hls-menu-title';
+      title.textContent = this.options.title;
+      menu.appendChild(title);
+    }
+
+    // The list is the menu, so its items are the only things it owns
+    this.list = document.createElement('ul');
+    this.list.className = 'vimeo-hls-menu-list';
+    this.list.setAttribute('role', 'menu');
+    this.list.setAttribute('aria-label', this.options.title || this.button.getAttribute('aria-label') || '');
+    menu.appendChild(this.list);
+
+    this.button.setAttribute('aria-haspopup', 'true');
+    this.button.setAttribute('aria-expanded', 'false');
+    this.button.insertAdjacentElement('afterend', menu);
+    this.menuElement = menu;
+  }
+
+  attachEventListeners() {
+    this.button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggle();
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const item = e.target.closest('.vimeo-hls-menu-item');
+      if (!item) return;
+      e.stopPropagation();
+      const selected = this.items[Number(item.dataset.index)];
+      if (selected && this.options.onSelect) {
+        this.options.onSelect(selected.value, selected);
+      }
+      this.close();
+    });
+
+    // On the menu rather than the document, so the arrow keys don't also
+    // reach the player's keyboard shortcuts
+    this.menuElement.addEventListener('keydown', this.handleMenuKeyDown);
+  }
+
+  /**
+   * Replace the menu entries
+   * @param {Array<{label: string, value: *, selected?: boolean, hint?: string}>} items
+   */
+  setItems(items) {
+    const hadFocus = this.list.contains(document.activeElement);
+    this.items = items;
+    this.list.innerHTML = '';
+
+    items.forEach((item, index) => {
+      const li = document.createElement('li');
+      li.setAttribute('role', 'none');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'vimeo-hls-menu-item';
+      button.setAttribute('role', 'menuitemradio');
+      button.setAttribute('aria-checked', item.selected ? 'true' : 'false');
+      button.tabIndex = -1;
+      button.dataset.index = index;
+      button.textContent = item.label;
+
+      if (item.hint) {
+        const hint = document.createElement('span');
+        hint.className = 'vimeo-hls-menu-hint';
+        hint.textContent = item.hint;
+        button.appendChild(hint);
+      }
+
+      li.appendChild(button);
+      this.list.appendChild(li);
+    });
+
+    // Rebuilding the list while it is being used shouldn't drop focus
+    if (hadFocus) {
+      this.focusItem(this.getCheckedIndex());
+    }
+  }
+
+  getItemElements() {
+    return Array.from(this.list.querySelectorAll('.vimeo-hls-menu-item'));
+  }
+
+  getCheckedIndex() {
+    return Math.max(0, this.items.findIndex(item => item.selected));
+  }
+
+  /**
+   * Move focus to an item; it becomes the one Tab returns to
+   * @param {number} index - Item index, wrapping at either end
+   */
+  focusItem(index) {
+    const elements = this.getItemElements();
+    if (!elements.length) return;
+
+    const target = elements[(index + elements.length) % elements.length];
+    elements.forEach(element => { element.tabIndex = element === target ? 0 : -1; });
+    target.focus();
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.menuElement.hidden = false;
+    this.button.setAttribute('aria-expanded', 'true');
+    document.addEventListener('click', this.handleDocumentClick);
+    document.addEventListener('keydown', this.handleKeyDown);
+    this.focusItem(this.getCheckedIndex());
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    // Focus would otherwise be lost inside the hidden menu
+    const hadFocus = this.menuElement.contains(document.activeElement);
+    this.isOpen = false;
+    this.menuElement.hidden = true;
+    this.button.setAttribute('aria-expanded', 'false');
+    document.removeEventListener('click', this.handleDocumentClick);
+    document.removeEventListener('keydown', this.handleKeyDown);
+    if (hadFocus) {
+      this.button.focus();
+    }
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  handleDocumentClick(e) {
+    if (!this.menuElement.contains(e.target)) {
+      this.close();
+    }
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+      this.button.focus();
+    }
+  }
+
+  handleMenuKeyDown(e) {
+    const elements = this.getItemElements();
+    const current = elements.indexOf(document.activeElement);
+
+    switch (e.key) {
+      case 'ArrowDown':
+        this.focusItem(current + 1);
+        break;
+      case 'ArrowUp':
+        this.focusItem(current === -1 ? -1 : current - 1);
+        break;
+      case 'Home':
+        this.focusItem(0);
+        break;
+      case 'End':
+        this.focusItem(elements.length - 1);
+        break;
+      case 'Tab':
+        // Leave the menu closed behind, moving on from its button
+        this.close();
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  destroy() {
+    this.close();
+    this.menuElement.remove();
+  }
+}
@@ -1,4 +1,35 @@
 import Hls from 'hls.js';
+import { parseVTT } from './captions.js';
+import { ERROR_CODES, PlayerError } from './errors.js';
+
+// Video element events forwarded as player events
+const MEDIA_EVENTS = [
+  'loadstart', 'progress', 'suspend', 'abort', 'emptied', 'stalled', 'loadedmetadata', 'loadeddata',
+  'canplay', 'canplaythrough', 'durationchange', 'resize', 'play', 'playing', 'pause', 'waiting',
+  'seeking', 'seeked', 'timeupdate', 'volumechange', 'ended'
+];
+
+// Events the player emits itself. hls.js events are forwarded under their
+// Hls.Events names (hlsLevelSwitched, hlsFragLoaded, ...).
+const PLAYER_EVENTS = [
+  'ready', 'sourcechange', 'statechange', 'error', 'ratechange', 'fullscreenchange',
+  'qualitiesloaded', 'qualitychange', 'texttracksloaded', 'texttrackchange', 'sourceexpired',
+  'chaptersloaded', 'chapterchange', 'itemchange', 'analytics', 'pipchange', 'remoteavailabilitychange',
+  'clipchange', 'loopchange'
+];
+
+// Failures before any level has loaded; startLoad() can't retry these, only
+// loading the manifest again can
+const MANIFEST_ERRORS = [
+  Hls.ErrorDetails.MANIFEST_LOAD_ERROR,
+  Hls.ErrorDetails.MANIFEST_LOAD_TIMEOUT,
+  Hls.ErrorDetails.MANIFEST_PARSING_ERROR,
+  Hls.ErrorDetails.LEVEL_LOAD_ERROR,
+  Hls.ErrorDetails.LEVEL_LOAD_TIMEOUT
+];
+
+// Used for frame stepping when the stream doesn't declare its frame rate
+const DEFAULT_FRAME_RATE = 30;
 
 /**
  * Custom HLS Video Player
@@ -13,17 +44,55 @@ export class HLSPlayer {
       muted: false,
       controls: false,
       loop: false,
+      playbackRate: 1,
+      // Attempts to recover from fatal network or media errors before giving up
+      maxRetries: 3,
+      // Delay before the first retry (ms); doubles with each attempt
+      retryDelay: 1000,
+      // Extra hls.js config, e.g. { startLevel: 0 }
+      hlsConfig: {},
+      // Only play this part of the video (seconds); null plays to the end
+      startTime: 0,
+      endTime: null,
+      // Frames per second for stepFrame(); null reads it from the stream
+      frameRate: null,
       ...options
     };
 
-    this.listeners = {
-      play: [],
-      pause: [],
-      ended: [],
-      timeupdate: [],
-      loadedmetadata: [],
-      error: []
-    };
+    // Event name -> [{ callback, namespace, once }]
+    this.listeners = {};
+
+    // idle, loading, ready, playing, paused, buffering, ended or error
+    this.state = 'idle';
+    this.sourceReady = false;
+    this.fullscreen = false;
+
+    // Caption/subtitle tracks from hls.js, the native player or external WebVTT files
+    this.textTracks = [];
+    this.activeTextTrack = -1;
+    this.nextTextTrackId = 0;
+
+    this.chapters = [];
+    this.currentChapter = -1;
+
+    this.sourceUrl = null;
+    this.iFramePlaylist = false;
+
+    this.remotePlaybackAvailable = false;
+
+    // Playable part of the video, and the A–B loop inside it
+    this.clip = { start: 0, end: null };
+    this.loopRange = null;
+    this.lastRangeTime = 0;
+    this.rangeFrame = null;
+    this.clipEnding = false;
+    // Set while the current seek is the player's own clip or loop wrap
+    this.wrapPending = false;
+    this.wrapping = false;
+
+    this.networkRetries = 0;
+    this.mediaRetries = 0;
+    this.retryTimeout = null;
 
     this.initialize();
   }
@@ -34,19 +103,142 @@ export class HLSPlayer {
     this.video.muted = this.options.muted;
     this.video.controls = this.options.controls;
     this.video.loop = this.options.loop;
+    this.setPlaybackRate(this.options.playbackRate);
+    this.setClip(this.options.startTime, this.options.endTime);
 
     // Attach event listeners
     this.attachEventListeners();
+
+    // Native HLS (Safari) exposes in-manifest subtitles as TextTracks
+    this.video.textTracks.addEventListener('addtrack', (e) => this.addNativeTextTrack(e.track));
   }
 
   attachEventListeners() {
-    const events = ['play', 'pause', 'ended', 'timeupdate', 'loadedmetadata', 'error'];
+    // Update the state first, so listeners of the media events below see it
+    this.video.addEventListener('loadedmetadata', () => {
+      if (this.video.paused && this.state === 'loading') {
+        this.setState('ready');
+      }
+    });
+    this.video.addEventListener('playing', () => this.setState('playing'));
+    this.video.addEventListener('waiting', () => {
+      if (!this.video.paused) {
+        this.setState('buffering');
+      }
+    });
+    this.video.addEventListener('pause', () => {
+      // Browsers fire pause right before ended
+      if (!this.video.ended && !this.clipEnding && this.state !== 'error') {
+        this.setState('paused');
+      }
+    });
+    this.video.addEventListener('ended', () => this.setState('ended'));
+
+    // Clipped videos start at the clip, and playing again after it ended starts it over
+    this.video.addEventListener('loadedmetadata', () => {
+      if (this.video.currentTime < this.clip.start) {
+        this.wrapTo(this.clip.start);
+      }
+    });
+    this.video.addEventListener('play', () => {
+      const { end } = this.getClip();
+      if (this.clip.end !== null && this.video.currentTime >= end) {
+        this.wrapTo(this.clip.start);
+      }
+      this.watchRange();
+    });
+    this.video.addEventListener('timeupdate', () => this.checkRange());
+    // Added before any other seeking listener, so they all see isWrapping()
+    this.video.addEventListener('seeking', () => {
+      this.wrapping = this.wrapPending;
+      this.wrapPending = false;
+    });
+    this.video.addEventListener('seeked', () => {
+      this.lastRangeTime = this.video.currentTime;
+    });
 
-    events.forEach(event => {
+    // Media event listeners keep getting the DOM event first, as they always have
+    MEDIA_EVENTS.forEach(event => {
       this.video.addEventListener(event, (e) => {
-        this.emit(event, e);
+        this.emit(event, e, e);
       });
     });
+
+    // Pausing at the end of a clip is reported as the end of the video
+    this.video.addEventListener('pause', () => {
+      if (this.clipEnding) {
+        this.clipEnding = false;
+        this.setState('ended');
+        const event = new Event('ended');
+        this.emit('ended', event, event);
+      }
+    });
+
+    this.video.addEventListener('loadedmetadata', () => {
+      if (!this.sourceReady) {
+        this.sourceReady = true;
+        this.emit('ready');
+      }
+    });
+
+    // Loading a new source resets playbackRate, so restore the chosen speed
+    this.video.addEventListener('loadedmetadata', () => {
+      if (this.video.playbackRate !== this.playbackRate) {
+        this.video.playbackRate = this.playbackRate;
+      }
+    });
+
+    this.video.addEventListener('timeupdate', () => this.updateCurrentChapter());
+    this.video.addEventListener('loadedmetadata', () => this.emit('chaptersloaded', this.getChapters()));
+
+    this.video.addEventListener('ratechange', () => {
+      this.emit('ratechange', this.video.playbackRate);
+    });
+
+    // Picture-in-Picture, standard and Safari's presentation modes
+    this.video.addEventListener('enterpictureinpicture', () => this.emit('pipchange', true));
+    this.video.addEventListener('leavepictureinpicture', () => this.emit('pipchange', false));
+    this.video.addEventListener('webkitpresentationmodechanged', () => {
+      this.emit('pipchange', this.isPictureInPicture());
+    });
+
+    this.video.addEventListener('error', () => this.handleMediaElementError());
+
+    // The container goes fullscreen; iOS can only take the video element itself
+    this.fullscreenHandler = () => this.updateFullscreen();
+    document.addEventListener('fullscreenchange', this.fullscreenHandler);
+    document.addEventListener('webkitfullscreenchange', this.fullscreenHandler);
+    this.video.addEventListener('webkitbeginfullscreen', this.fullscreenHandler);
+    this.video.addEventListener('webkitendfullscreen', this.fullscreenHandler);
+
+    this.watchRemotePlayback();
+  }
+
+  /**
+   * Report errors from the video element. With hls.js attached, it reports
+   * (and recovers from) the same failures itself.
+   */
+  handleMediaElementError() {
+    const mediaError = this.video.error;
+    if (this.hls || !mediaError || mediaError.code === mediaError.MEDIA_ERR_ABORTED) return;
+
+    const codes = {
+      [mediaError.MEDIA_ERR_NETWORK]: ERROR_CODES.NETWORK,
+      [mediaError.MEDIA_ERR_DECODE]: ERROR_CODES.MEDIA,
+      [mediaError.MEDIA_ERR_SRC_NOT_SUPPORTED]: ERROR_CODES.UNSUPPORTED
+    };
+    this.reportError(new PlayerError(codes[mediaError.code], mediaError.message, { details: mediaError }));
+  }
+
+  /**
+   * Emit an error; fatal ones also move the player to the error state
+   * @param {PlayerError} error - Error to report
+   */
+  reportError(error) {
+    if (error.fatal) {
+      this.setState('error');
+    }
+    this.emit('error', error);
   }
 
   /**
@@ -59,46 +251,22 @@ export class HLSPlayer {
       return;
     }
 
+    const previous = this.sourceUrl;
+    this.sourceUrl = hlsUrl;
+    this.iFramePlaylist = false;
+    this.sourceReady = false;
+    this.resetRetries();
+    this.setState('loading');
+    this.emit('sourcechange', { src: hlsUrl, previous });
+
     // Check if HLS is supported
     if (Hls.isSupported()) {
-      // Use hls.js for browsers that don't support HLS natively
-      this.hls = new Hls({
-        enableWorker: true,
-        lowLatencyMode: false,
-        backBufferLength: 90
-      });
-
+      // Use hls.js for browsers that don't support HLS natively.
+      // One instance is reused across sources until destroyHls() drops it.
+      if (!this.hls) {
+        this.createHls();
+      }
       this.hls.loadSource(hlsUrl);
-      this.hls.attachMedia(this.video);
-
-      this.hls.on(Hls.Events.MANIFEST_PARSED, () => {
-        console.log('HLS manifest loaded');
-        if (this.options.autoplay) {
-          this.play();
-        }
-      });
-
-      this.hls.on(Hls.Events.ERROR, (event, data) => {
-        console.error('HLS error:', data);
-        if (data.fatal) {
-          switch (data.type) {
-            case Hls.ErrorTypes.NETWORK_ERROR:
-              console.error('Fatal network error, trying to recover');
-              this.hls.startLoad();
-              break;
-            case Hls.ErrorTypes.MEDIA_ERROR:
-              console.error('Fatal media error, trying to recover');
-              this.hls.recoverMediaError();
-              break;
-            default:
-              console.error('Fatal error, cannot recover');
-              this.destroy();
-              break;
-          }
-        }
-        this.emit('error', data);
-      });
-
     } else if (this.video.canPlayType('application/vnd.apple.mpegurl')) {
       // Native HLS support (Safari)
       this.video.src = hlsUrl;
@@ -108,13 +276,178 @@ export class HLSPlayer {
         if (this.options.autoplay) {
           this.play();
         }
-      });
+      }, { once: true });
     } else {
       console.error('HLS is not supported in this browser');
-      this.emit('error', new Error('HLS not supported'));
+      this.reportError(new PlayerError(ERROR_CODES.UNSUPPORTED, 'HLS is not supported in this browser'));
     }
   }
 
+  /**
+   * Create the hls.js instance and wire up its events
+   */
+  createHls() {
+    this.hls = new Hls({
+      enableWorker: true,
+      lowLatencyMode: false,
+      backBufferLength: 90,
+      // Cues are drawn by CaptionRenderer rather than the browser
+      renderTextTracksNatively: false,
+      ...this.options.hlsConfig
+    });
+
+    this.hls.attachMedia(this.video);
+
+    this.hls.on(Hls.Events.MANIFEST_LOADED, (event, data) => {
+      // hls.js doesn't parse I-frame playlists, so check the raw manifest
+      const details = data.networkDetails;
+      const manifest = details && typeof details.responseText === 'string' ? details.responseText : '';
+      this.iFramePlaylist = manifest.includes('#EXT-X-I-FRAME-STREAM-INF');
+    });
+
+    this.hls.on(Hls.Events.MANIFEST_PARSED, () => {
+      console.log('HLS manifest loaded');
+      this.emit('qualitiesloaded', this.getQualities());
+      if (this.options.autoplay) {
+        this.play();
+      }
+    });
+
+    this.hls.on(Hls.Events.LEVEL_SWITCHED, () => {
+      this.emit('qualitychange', this.getQuality());
+    });
+
+    this.hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, (event, data) => {
+      this.setHLSTextTracks(data.subtitleTracks);
+    });
+
+    this.hls.on(Hls.Events.CUES_PARSED, (event, data) => {
+      if (data.type !== 'subtitles') return;
+      const track = this.textTracks.find(t => t.source === 'hls' && t.hlsIndex === this.hls.subtitleTrack);
+      if (track) {
+        this.addCues(track, data.cues);
+      }
+    });
+
+    // Fragments arriving again means any recovery worked
+    this.hls.on(Hls.Events.FRAG_BUFFERED, () => {
+      this.networkRetries = 0;
+      this.mediaRetries = 0;
+    });
+
+    this.hls.on(Hls.Events.ERROR, (event, data) => this.handleHlsError(data));
+
+    // Forward every hls.js event under its own name, e.g. player.on('hlsFragLoaded', ...)
+    Object.values(Hls.Events).forEach(name => {
+      this.hls.on(name, (event, data) => this.emit(name, data));
+    });
+  }
+
+  /**
+   * Recover from fatal hls.js errors with a limited number of retries and
+   * exponential backoff, then report them
+   * @param {object} data - hls.js error data
+   */
+  handleHlsError(data) {
+    // Signed manifest/segment URLs that expired or were revoked can't be retried as-is
+    const status = data.response && data.response.code;
+    if (data.fatal && data.type === Hls.ErrorTypes.NETWORK_ERROR && (status === 403 || status === 410)) {
+      console.warn('HLS source expired:', data.details);
+      this.emit('sourceexpired', data);
+      return;
+    }
+
+    const code = {
+      [Hls.ErrorTypes.NETWORK_ERROR]: ERROR_CODES.NETWORK,
+      [Hls.ErrorTypes.MEDIA_ERROR]: ERROR_CODES.MEDIA
+    }[data.type] || ERROR_CODES.UNKNOWN;
+
+    if (!data.fatal) {
+      this.reportError(new PlayerError(code, data.details, { fatal: false, details: data }));
+      return;
+    }
+
+    const { maxRetries } = this.options;
+
+    if (code === ERROR_CODES.NETWORK && this.networkRetries < maxRetries) {
+      console.warn(`Fatal network error, retrying (${this.networkRetries + 1}/${maxRetries})`);
+      this.reportRetry(code, data, this.networkRetries + 1);
+
+      const reload = MANIFEST_ERRORS.includes(data.details) || !(this.hls.levels && this.hls.levels.length);
+      const sourceUrl = this.sourceUrl;
+      this.scheduleRetry(this.networkRetries++, () => {
+        if (reload) {
+          this.hls.loadSource(sourceUrl);
+        } else {
+          this.hls.startLoad();
+        }
+      });
+      return;
+    }
+
+    if (code === ERROR_CODES.MEDIA && this.mediaRetries < maxRetries) {
+      console.warn(`Fatal media error, recovering (${this.mediaRetries + 1}/${maxRetries})`);
+      this.reportRetry(code, data, this.mediaRetries + 1);
+      // A second media error in a row is often an audio codec mismatch
+      if (this.mediaRetries > 0) {
+        this.hls.swapAudioCodec();
+      }
+      this.scheduleRetry(this.mediaRetries++, () => this.hls.recoverMediaError());
+      return;
+    }
+
+    console.error('Fatal HLS error, cannot recover:', data);
+
+    // Drop the broken instance; the next loadSource() creates a fresh one
+    this.destroyHls();
+
+    this.reportError(new PlayerError(code, data.details, { details: data }));
+  }
+
+  /**
+   * Detach and destroy the hls.js instance, along with the subtitle tracks
+   * its manifest listed
+   */
+  destroyHls() {
+    if (!this.hls) return;
+
+    clearTimeout(this.retryTimeout);
+    this.hls.destroy();
+    this.hls = null;
+
+    if (this.textTracks.some(t => t.source === 'hls')) {
+      this.setHLSTextTracks([]);
+    }
+  }
+
+  /**
+   * Tell error listeners a recovery attempt is under way
+   * @param {string} code - Error code
+   * @param {object} data - hls.js error data
+   * @param {number} attempt - Attempt number, from 1
+   */
+  reportRetry(code, data, attempt) {
+    this.reportError(new PlayerError(code, `${data.details} (retry ${attempt}/${this.options.maxRetries})`, {
+      fatal: false,
+      details: { ...data, retry: attempt }
+    }));
+  }
+
+  scheduleRetry(attempt, retry) {
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = setTimeout(() => {
+      if (this.hls) {
+        retry();
+      }
+    }, this.options.retryDelay * 2 ** attempt);
+  }
+
+  resetRetries() {
+    clearTimeout(this.retryTimeout);
+    this.networkRetries = 0;
+    this.mediaRetries = 0;
+  }
+
   /**
    * Play video
    */
@@ -122,8 +455,12 @@ export class HLSPlayer {
     try {
       await this.video.play();
     } catch (error) {
+      // play() was interrupted by pause() or a new source; not a failure
+      if (error.name === 'AbortError') return;
+
       console.error('Error playing video:', error);
-      this.emit('error', error);
+      const code = error.name === 'NotAllowedError' ? ERROR_CODES.AUTOPLAY_BLOCKED : ERROR_CODES.UNKNOWN;
+      this.reportError(new PlayerError(code, error.message, { fatal: false, cause: error }));
     }
   }
 
@@ -168,10 +505,28 @@ export class HLSPlayer {
   }
 
   /**
-   * Seek to time (in seconds)
+   * Set playback speed. The rate is kept when a new source is loaded.
+   * @param {number} rate - Playback rate (1 is normal speed)
+   */
+  setPlaybackRate(rate) {
+    this.playbackRate = rate;
+    this.video.defaultPlaybackRate = rate;
+    this.video.playbackRate = rate;
+  }
+
+  /**
+   * Get playback speed
+   */
+  getPlaybackRate() {
+    return this.video.playbackRate;
+  }
+
+  /**
+   * Seek to time (in seconds). Times outside the clip go to its nearest edge.
    */
   seek(time) {
-    this.video.currentTime = time;
+    const { start, end } = this.getClip();
+    this.video.currentTime = Math.max(start, isNaN(end) ? time : Math.min(end, time));
   }
 
   /**
@@ -198,6 +553,494 @@ export class HLSPlayer {
     return 0;
   }
 
+  /**
+   * Get available quality levels, highest first.
+   * Returns an empty array on the native HLS path, where levels can't be switched.
+   * @returns {Array<{index: number, height: number, width: number, bitrate: number, label: string}>}
+   */
+  getQualities() {
+    if (!this.hls || !this.hls.levels) {
+      return [];
+    }
+
+    const levels = this.hls.levels.map((level, index) => ({
+      index,
+      height: level.height,
+      width: level.width,
+      bitrate: level.bitrate,
+      label: level.height ? `${level.height}p` : `${Math.round(level.bitrate / 1000)} kbps`
+    }));
+
+    // Disambiguate levels that share a resolution
+    levels.forEach(level => {
+      const sameHeight = levels.filter(other => other.height && other.height === level.height);
+      if (sameHeight.length > 1) {
+        level.label = `${level.height}p (${Math.round(level.bitrate / 1000)} kbps)`;
+      }
+    });
+
+    return levels.sort((a, b) => (b.height - a.height) || (b.bitrate - a.bitrate));
+  }
+
+  /**
+   * Get the current quality selection
+   * @returns {{level: number, auto: boolean, playing: number}} level is -1 in auto mode;
+   * playing is the level currently being played (-1 if unknown)
+   */
+  getQuality() {
+    if (!this.hls) {
+      return { level: -1, auto: true, playing: -1 };
+    }
+
+    const auto = this.hls.autoLevelEnabled;
+    return {
+      level: auto ? -1 : this.hls.manualLevel,
+      auto,
+      playing: this.hls.currentLevel
+    };
+  }
+
+  /**
+   * Set quality level
+   * @param {number} level - Level index from getQualities(), or -1 for auto
+   */
+  setQuality(level) {
+    if (!this.hls) {
+      return;
+    }
+
+    this.hls.currentLevel = level;
+    this.emit('qualitychange', this.getQuality());
+  }
+
+  /**
+   * Whether the loaded manifest advertises an I-frame (trick play) playlist
+   */
+  hasIFramePlaylist() {
+    return this.iFramePlaylist;
+  }
+
+  /**
+   * Get caption and subtitle tracks
+   * @returns {Array<{id: number, label: string, language: string, kind: string, source: string}>}
+   */
+  getTextTracks() {
+    return this.textTracks.map(({ id, label, language, kind, source }) => ({
+      id, label, language, kind, source
+    }));
+  }
+
+  /**
+   * Get the id of the active text track, or -1 when captions are off
+   */
+  getTextTrack() {
+    return this.activeTextTrack;
+  }
+
+  /**
+   * Add an external WebVTT track. The file is fetched when the track is first selected.
+   * @param {object} track - { src, language, label, kind, default }
+   * @returns {number} Track id
+   */
+  addTextTrack({ src, language = '', label, kind = 'subtitles', default: isDefault = false }) {
+    const track = {
+      id: this.nextTextTrackId++,
+      label: label || language || `Track ${this.textTracks.length + 1}`,
+      language,
+      kind,
+      source: 'external',
+      src,
+      cues: null
+    };
+
+    this.textTracks.push(track);
+    this.emit('texttracksloaded', this.getTextTracks());
+
+    if (isDefault) {
+      this.setTextTrack(track.id);
+    }
+    return track.id;
+  }
+
+  /**
+   * Remove external text tracks, e.g. when switching to another video
+   */
+  clearTextTracks() {
+    const active = this.textTracks.find(t => t.id === this.activeTextTrack);
+
+    this.textTracks = this.textTracks.filter(t => t.source !== 'external');
+    this.emit('texttracksloaded', this.getTextTracks());
+
+    if (active && active.source === 'external') {
+      this.setTextTrack(-1);
+    }
+  }
+
+  /**
+   * Select a text track
+   * @param {number} id - Track id from getTextTracks(), or -1 to turn captions off
+   */
+  async setTextTrack(id) {
+    const track = this.textTracks.find(t => t.id === id) || null;
+    this.activeTextTrack = track ? track.id : -1;
+
+    if (this.hls) {
+      this.hls.subtitleTrack = track && track.source === 'hls' ? track.hlsIndex : -1;
+    }
+
+    this.textTracks.forEach(t => {
+      if (t.textTrack) {
+        t.textTrack.mode = t === track ? 'hidden' : 'disabled';
+      }
+    });
+
+    if (track && track.source === 'external' && !track.cues) {
+      try {
+        const response = await fetch(track.src);
+        if (!response.ok) {
+          throw new Error(`Caption file returned ${response.status}`);
+        }
+        track.cues = parseVTT(await response.text());
+      } catch (error) {
+        console.error('Error loading captions:', error);
+        track.cues = [];
+        this.reportError(new PlayerError(ERROR_CODES.NETWORK, error.message, { fatal: false, cause: error }));
+      }
+    }
+
+    this.emit('texttrackchange', this.getTextTracks().find(t => t.id === this.activeTextTrack) || null);
+  }
+
+  /**
+   * Get the cues of the active track that cover the current time
+   * @returns {Array<{startTime: number, endTime: number, text: string}>}
+   */
+  getActiveCues() {
+    const track = this.textTracks.find(t => t.id === this.activeTextTrack);
+    if (!track) {
+      return [];
+    }
+
+    if (track.textTrack) {
+      return Array.from(track.textTrack.activeCues || []);
+    }
+
+    const time = this.video.currentTime;
+    return (track.cues || []).filter(cue => cue.startTime <= time && cue.endTime > time);
+  }
+
+  setHLSTextTracks(subtitleTracks) {
+    const selected = this.textTracks.find(t => t.id === this.activeTextTrack);
+
+    this.textTracks = this.textTracks.filter(t => t.source !== 'hls');
+    subtitleTracks.forEach((subtitleTrack, hlsIndex) => {
+      this.textTracks.push({
+        id: this.nextTextTrackId++,
+        label: subtitleTrack.name || subtitleTrack.lang,
+        language: subtitleTrack.lang || '',
+        kind: subtitleTrack.type === 'CLOSED-CAPTIONS' ? 'captions' : 'subtitles',
+        source: 'hls',
+        hlsIndex,
+        cues: []
+      });
+    });
+
+    if (selected && selected.source === 'hls') {
+      this.activeTextTrack = -1;
+    }
+    this.emit('texttracksloaded', this.getTextTracks());
+  }
+
+  addNativeTextTrack(textTrack) {
+    // hls.js renders cues itself, so only the native HLS path needs this
+    if (this.hls || !['subtitles', 'captions'].includes(textTrack.kind)) return;
+
+    textTrack.mode = 'disabled';
+    this.textTracks.push({
+      id: this.nextTextTrackId++,
+      label: textTrack.label || textTrack.language,
+      language: textTrack.language,
+      kind: textTrack.kind,
+      source: 'native',
+      textTrack,
+      cues: null
+    });
+    this.emit('texttracksloaded', this.getTextTracks());
+  }
+
+  addCues(track, cues) {
+    cues.forEach(cue => {
+      const exists = track.cues.some(existing =>
+        existing.startTime === cue.startTime && existing.text === cue.text
+      );
+      if (!exists) {
+        track.cues.push({ startTime: cue.startTime, endTime: cue.endTime, text: cue.text });
+      }
+    });
+  }
+
+  /**
+   * Set chapters. Accepts { title, startTime }, { title, time } or Vimeo's { title, timecode }.
+   * @param {Array<object>} chapters
+   */
+  setChapters(chapters) {
+    this.chapters = (chapters || [])
+      .map(chapter => ({
+        title: chapter.title || '',
+        startTime: Number(chapter.startTime ?? chapter.time ?? chapter.timecode ?? 0)
+      }))
+      .sort((a, b) => a.startTime - b.startTime);
+    this.currentChapter = -1;
+
+    this.emit('chaptersloaded', this.getChapters());
+    this.updateCurrentChapter();
+  }
+
+  /**
+   * Get chapters with their end times (the end time of the last chapter is the duration)
+   * @returns {Array<{index: number, title: string, startTime: number, endTime: number}>}
+   */
+  getChapters() {
+    const duration = this.video.duration;
+
+    return this.chapters.map((chapter, index) => ({
+      index,
+      title: chapter.title,
+      startTime: chapter.startTime,
+      endTime: index < this.chapters.length - 1 ? this.chapters[index + 1].startTime : duration
+    }));
+  }
+
+  /**
+   * Get the chapter index at a given time
+   * @param {number} time - Time in seconds (defaults to the current time)
+   * @returns {number} Chapter index, or -1 if there are no chapters
+   */
+  getChapterAt(time = this.video.currentTime) {
+    for (let i = this.chapters.length - 1; i >= 0; i--) {
+      if (time >= this.chapters[i].startTime) {
+        return i;
+      }
+    }
+    return this.chapters.length ? 0 : -1;
+  }
+
+  /**
+   * Get the index of the chapter being played
+   */
+  getCurrentChapter() {
+    return this.currentChapter;
+  }
+
+  /**
+   * Seek to the start of a chapter
+   * @param {number} index - Chapter index
+   */
+  setChapter(index) {
+    const chapter = this.chapters[index];
+    if (chapter) {
+      this.seek(chapter.startTime);
+      this.updateCurrentChapter();
+    }
+  }
+
+  updateCurrentChapter() {
+    const index = this.getChapterAt();
+    if (index !== this.currentChapter) {
+      this.currentChapter = index;
+      if (index !== -1) {
+        this.emit('chapterchange', this.getChapters()[index]);
+      }
+    }
+  }
+
+  /**
+   * Limit playback to part of the video. Playback starts at the clip start and
+   * ends (or loops) at its end, and seeks stay inside it. Clears the A–B loop.
+   * @param {number} start - Clip start in seconds
+   * @param {number|null} end - Clip end in seconds, or null for the end of the video
+   */
+  setClip(start = 0, end = null) {
+    start = Math.max(0, Number(start) || 0);
+    end = end === null || end === undefined || isNaN(end) ? null : Number(end);
+
+    if (end !== null && end <= start) {
+      console.warn(`Clip end (${end}s) must be after its start (${start}s); playing to the end`);
+      end = null;
+    }
+
+    this.clip = { start, end };
+    if (this.loopRange) {
+      this.clearLoop();
+    }
+
+    if (this.video.readyState > 0) {
+      const time = this.video.currentTime;
+      if (time < start || (end !== null && time > end)) {
+        this.video.currentTime = start;
+      }
+    }
+
+    this.emit('clipchange', this.getClip());
+    this.watchRange();
+  }
+
+  /**
+   * Get the playable part of the video
+   * @returns {{start: number, end: number}} end is the duration when the clip
+   *   runs to the end (NaN until it's known)
+   */
+  getClip() {
+    const duration = this.video.duration;
+    const end = this.clip.end === null ? duration : Math.min(this.clip.end, duration || Infinity);
+    return { start: this.clip.start, end };
+  }
+
+  /**
+   * Loop between two points inside the clip (A–B loop)
+   * @param {number} start - Loop start (A) in seconds
+   * @param {number|null} end - Loop end (B); null marks A and waits for B
+   */
+  setLoop(start, end = null) {
+    const clip = this.getClip();
+    const clamp = (time) => Math.max(clip.start, isNaN(clip.end) ? time : Math.min(clip.end, time));
+
+    start = clamp(Number(start) || 0);
+    end = end === null || end === undefined ? null : clamp(Number(end));
+
+    if (end !== null && end <= start) {
+      console.warn(`Loop end (${end}s) must be after its start (${start}s)`);
+      return;
+    }
+
+    this.loopRange = { start, end };
+    this.emit('loopchange', this.getLoop());
+    this.watchRange();
+  }
+
+  /**
+   * Turn off the A–B loop
+   */
+  clearLoop() {
+    if (!this.loopRange) return;
+    this.loopRange = null;
+    this.emit('loopchange', null);
+  }
+
+  /**
+   * Get the A–B loop
+   * @returns {{start: number, end: number|null}|null} end is null while
+   *   waiting for B; null when there's no loop
+   */
+  getLoop() {
+    return this.loopRange ? { ...this.loopRange } : null;
+  }
+
+  /**
+   * Step through A–B loop mode at the current time: mark A, then B, then
+   * turn the loop off
+   */
+  cycleLoop() {
+    const time = this.video.currentTime;
+    const loop = this.loopRange;
+
+    if (!loop) {
+      this.setLoop(time);
+    } else if (loop.end === null) {
+      // B before A just swaps them
+      if (time !== loop.start) {
+        this.setLoop(Math.min(loop.start, time), Math.max(loop.start, time));
+      }
+    } else {
+      this.clearLoop();
+    }
+  }
+
+  /**
+   * Frames per second: the frameRate option, the rate the stream declares, or 30
+   * @returns {number}
+   */
+  getFrameRate() {
+    const level = this.hls && this.hls.levels ? this.hls.levels[this.hls.currentLevel] : null;
+    return this.options.frameRate || (level && level.frameRate) || DEFAULT_FRAME_RATE;
+  }
+
+  /**
+   * Pause and move one frame forward or back
+   * @param {number} direction - 1 for the next frame, -1 for the previous one
+   */
+  stepFrame(direction = 1) {
+    this.pause();
+    this.seek(this.video.currentTime + direction / this.getFrameRate());
+  }
+
+  /**
+   * Loop back at the A–B loop end and stop at the clip end
+   */
+  checkRange() {
+    const time = this.video.currentTime;
+    const previous = this.lastRangeTime;
+    this.lastRangeTime = time;
+    if (this.video.paused || this.video.seeking) return;
+
+    // A native loop wraps around to 0
+    if (time < this.clip.start) {
+      this.wrapTo(this.clip.start);
+      return;
+    }
+
+    // Only when playback reaches B, so seeking past it leaves the loop
+    const loop = this.loopRange;
+    if (loop && loop.end !== null && previous < loop.end && time >= loop.end) {
+      this.wrapTo(loop.start);
+      return;
+    }
+
+    if (this.clip.end !== null && time >= this.clip.end) {
+      if (this.video.loop) {
+        this.wrapTo(this.clip.start);
+      } else {
+        this.clipEnding = true;
+        this.video.pause();
+      }
+    }
+  }
+
+  /**
+   * Jump back for a clip or A–B loop, marking the seek as the player's own
+   * @param {number} time - Time to jump to
+   */
+  wrapTo(time) {
+    this.wrapPending = true;
+    this.video.currentTime = time;
+  }
+
+  /**
+   * Whether the seek in progress (or the last one) is a clip or loop wrap
+   * rather than a seek someone asked for. Analytics and announcements skip these.
+   * @returns {boolean}
+   */
+  isWrapping() {
+    return this.wrapping;
+  }
+
+  /**
+   * timeupdate only fires a few times a second, so check the clip and loop
+   * ends every frame while playing; loops then land within a frame of B
+   */
+  watchRange() {
+    cancelAnimationFrame(this.rangeFrame);
+    if (this.clip.end === null && !this.loopRange) return;
+
+    const check = () => {
+      this.checkRange();
+      if (!this.video.paused && (this.clip.end !== null || this.loopRange)) {
+        this.rangeFrame = requestAnimationFrame(check);
+      }
+    };
+    this.rangeFrame = requestAnimationFrame(check);
+  }
+
   /**
    * Enter fullscreen
    */
@@ -229,6 +1072,24 @@ export class HLSPlayer {
     }
   }
 
+  /**
+   * Whether this player (or its video, on iOS) is fullscreen
+   * @returns {boolean}
+   */
+  isFullscreen() {
+    const element = document.fullscreenElement || document.webkitFullscreenElement;
+    return (!!element && (element === this.container || element === this.video)) ||
+      !!this.video.webkitDisplayingFullscreen;
+  }
+
+  updateFullscreen() {
+    const fullscreen = this.isFullscreen();
+    if (fullscreen !== this.fullscreen) {
+      this.fullscreen = fullscreen;
+      this.emit('fullscreenchange', fullscreen);
+    }
+  }
+
   /**
    * Toggle fullscreen
    */
@@ -243,35 +1104,210 @@ export class HLSPlayer {
     }
   }
 
+  isPictureInPictureSupported() {
+    if (document.pictureInPictureEnabled && !this.video.disablePictureInPicture) {
+      return true;
+    }
+    return typeof this.video.webkitSetPresentationMode === 'function' &&
+      !!(this.video.webkitSupportsPresentationMode && this.video.webkitSupportsPresentationMode('picture-in-picture'));
+  }
+
+  isPictureInPicture() {
+    return document.pictureInPictureElement === this.video ||
+      this.video.webkitPresentationMode === 'picture-in-picture';
+  }
+
   /**
-   * Event system
+   * Enter Picture-in-Picture. Browsers usually only allow this from a click or key press.
+   * @param {object} options - { silent: don't log a refusal }
+   * @returns {Promise<boolean>} Whether the video is now in Picture-in-Picture
    */
-  on(event, callback) {
-    if (this.listeners[event]) {
-      this.listeners[event].push(callback);
+  async enterPictureInPicture({ silent = false } = {}) {
+    try {
+      if (this.video.requestPictureInPicture && document.pictureInPictureEnabled) {
+        await this.video.requestPictureInPicture();
+      } else if (this.video.webkitSetPresentationMode) {
+        this.video.webkitSetPresentationMode('picture-in-picture');
+      }
+    } catch (error) {
+      if (!silent) {
+        console.warn('Could not enter Picture-in-Picture:', error);
+      }
     }
+    return this.isPictureInPicture();
   }
 
-  off(event, callback) {
-    if (this.listeners[event]) {
-      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+  async exitPictureInPicture() {
+    try {
+      if (document.pictureInPictureElement === this.video) {
+        await document.exitPictureInPicture();
+      } else if (this.video.webkitPresentationMode === 'picture-in-picture') {
+        this.video.webkitSetPresentationMode('inline');
+      }
+    } catch (error) {
+      console.warn('Could not exit Picture-in-Picture:', error);
     }
   }
 
-  emit(event, data) {
-    if (this.listeners[event]) {
-      this.listeners[event].forEach(callback => callback(data));
+  togglePictureInPicture() {
+    return this.isPictureInPicture() ? this.exitPictureInPicture() : this.enterPictureInPicture();
+  }
+
+  /**
+   * Track whether a cast or AirPlay device is available, through the Remote
+   * Playback API or Safari's playback target events
+   */
+  watchRemotePlayback() {
+    const setAvailable = (available) => {
+      if (available === this.remotePlaybackAvailable) return;
+      this.remotePlaybackAvailable = available;
+      this.emit('remoteavailabilitychange', available);
+    };
+
+    if (window.WebKitPlaybackTargetAvailabilityEvent) {
+      this.video.addEventListener('webkitplaybacktargetavailabilitychanged', (e) => {
+        setAvailable(e.availability === 'available');
+      });
+    } else if (this.video.remote && this.video.remote.watchAvailability) {
+      // Rejects where remote playback of this kind of source isn't possible (often MSE)
+      this.video.remote.watchAvailability(setAvailable).catch(() => setAvailable(false));
     }
   }
 
+  isRemotePlaybackAvailable() {
+    return this.remotePlaybackAvailable;
+  }
+
+  /**
+   * Open the browser's cast / AirPlay device picker
+   */
+  showRemotePlaybackPicker() {
+    if (this.video.webkitShowPlaybackTargetPicker) {
+      this.video.webkitShowPlaybackTargetPicker();
+    } else if (this.video.remote) {
+      this.video.remote.prompt().catch(error => {
+        // Closing the picker without choosing a device rejects too
+        if (error.name !== 'NotFoundError' && error.name !== 'AbortError') {
+          console.warn('Remote playback failed:', error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Current playback state
+   * @returns {string} idle, loading, ready, playing, paused, buffering, ended or error
+   */
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+
+    const previous = this.state;
+    this.state = state;
+    this.emit('statechange', { state, previous });
+  }
+
+  /**
+   * Snapshot passed to every listener alongside the event's own data
+   * @param {string} type - Event name
+   * @param {Event} originalEvent - DOM event, for video element events
+   * @returns {object}
+   */
+  getEventDetail(type, originalEvent = null) {
+    return {
+      type,
+      state: this.state,
+      currentTime: this.video.currentTime,
+      duration: this.video.duration,
+      paused: this.video.paused,
+      muted: this.video.muted,
+      volume: this.video.volume,
+      playbackRate: this.video.playbackRate,
+      originalEvent
+    };
+  }
+
+  /**
+   * Event system. Names may carry a namespace ("play.analytics") so a group
+   * of listeners can be removed at once with off('.analytics').
+   * Listeners are called with (data, detail): data is the event's own value
+   * (the DOM event for media events, the rate for ratechange, the error for
+   * error...) or detail when it has none; detail is always getEventDetail().
+   */
+  on(name, callback, options = {}) {
+    const [event, namespace = null] = name.split('.');
+
+    if (typeof callback !== 'function') return;
+    if (!MEDIA_EVENTS.includes(event) && !PLAYER_EVENTS.includes(event) && !event.startsWith('hls')) {
+      console.warn(`Unknown player event "${event}"`);
+    }
+
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push({ callback, namespace, once: !!options.once });
+  }
+
+  /**
+   * Listen for a single occurrence of an event
+   */
+  once(name, callback) {
+    this.on(name, callback, { once: true });
+  }
+
+  /**
+   * Remove listeners by event, namespace and/or callback:
+   * off('play', fn), off('play.analytics'), off('.analytics')
+   */
+  off(name, callback = null) {
+    const [event, namespace = null] = name.split('.');
+
+    // The player's own components listen without a namespace; don't strip them
+    if (!callback && !namespace) {
+      console.warn(`off("${name}") needs a callback or a namespace`);
+      return;
+    }
+
+    const events = event ? [event] : Object.keys(this.listeners);
+    events.forEach(key => {
+      if (!this.listeners[key]) return;
+      this.listeners[key] = this.listeners[key].filter(listener =>
+        (callback && listener.callback !== callback) || (namespace && listener.namespace !== namespace)
+      );
+    });
+  }
+
+  emit(event, data, originalEvent = null) {
+    const listeners = this.listeners[event];
+    if (!listeners || !listeners.length) return;
+
+    const detail = this.getEventDetail(event, originalEvent);
+
+    if (listeners.some(listener => listener.once)) {
+      this.listeners[event] = listeners.filter(listener => !listener.once);
+    }
+
+    listeners.forEach(listener => {
+      try {
+        listener.callback(data === undefined ? detail : data, detail);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    });
+  }
+
   /**
    * Destroy player and clean up
    */
   destroy() {
-    if (this.hls) {
-      this.hls.destroy();
-      this.hls = null;
-    }
+    clearTimeout(this.retryTimeout);
+    cancelAnimationFrame(this.rangeFrame);
+    document.removeEventListener('fullscreenchange', this.fullscreenHandler);
+    document.removeEventListener('webkitfullscreenchange', this.fullscreenHandler);
+    this.destroyHls();
 
     this.video.src = '';
     this.listeners = {};
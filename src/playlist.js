@@ -0,0 +1,112 @@
+import { VimeoAPI } from './vimeo.js';
+
+/**
+ * Normalize a playlist entry. Strings are treated as HLS URLs when they point
+ * at a manifest, and as Vimeo IDs or URLs otherwise.
+ * @param {string|object} item - Vimeo ID/URL, HLS URL, or { vimeoId | hlsUrl, title, poster, captions, chapters }
+ * @returns {object} Playlist item
+ */
+export function normalizePlaylistItem(item) {
+  if (typeof item === 'string') {
+    const isVimeo = !/\.m3u8(\?|$)/.test(item) && VimeoAPI.extractVideoId(item) !== null;
+    item = isVimeo ? { vimeoId: item } : { hlsUrl: item };
+  }
+
+  return {
+    vimeoId: null,
+    hlsUrl: null,
+    title: null,
+    poster: null,
+    ...item,
+    // null is as good as none
+    captions: item.captions || [],
+    chapters: item.chapters || []
+  };
+}
+
+/**
+ * Side panel listing the playlist items
+ */
+export class PlaylistPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      onSelect: null,
+      ...options
+    };
+    this.items = [];
+    this.element = null;
+
+    this.createPanel();
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'vimeo-hls-playlist';
+    panel.hidden = true;
+    panel.innerHTML = `
+      <div class="vimeo-hls-playlist-title">Playlist</div>
+      <ol class="vimeo-hls-playlist-list"></ol>
+    `;
+
+    this.list = panel.querySelector('.vimeo-hls-playlist-list');
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('.vimeo-hls-playlist-item');
+      if (button && this.options.onSelect) {
+        this.options.onSelect(Number(button.dataset.index));
+      }
+    });
+
+    this.container.appendChild(panel);
+    this.element = panel;
+  }
+
+  /**
+   * Render the items, highlighting the current one
+   * @param {Array<object>} items - Normalized playlist items
+   * @param {number} currentIndex - Index of the playing item
+   */
+  render(items, currentIndex) {
+    this.items = items;
+    this.list.innerHTML = '';
+
+    items.forEach((item, index) => {
+      const li = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'vimeo-hls-playlist-item';
+      button.dataset.index = index;
+      if (index === currentIndex) {
+        button.setAttribute('aria-current', 'true');
+      }
+
+      if (item.poster) {
+        const img = document.createElement('img');
+        img.className = 'vimeo-hls-playlist-thumb';
+        img.src = item.poster;
+        img.alt = '';
+        button.appendChild(img);
+      }
+
+      const title = document.createElement('span');
+      title.className = 'vimeo-hls-playlist-item-title';
+      title.textContent = item.title || `Video ${index + 1}`;
+      button.appendChild(title);
+
+      li.appendChild(button);
+      this.list.appendChild(li);
+    });
+  }
+
+  get isOpen() {
+    return !this.element.hidden;
+  }
+
+  toggle(force = !this.isOpen) {
+    this.element.hidden = !force;
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+}
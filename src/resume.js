@@ -0,0 +1,242 @@
+import { formatTime } from './format.js';
+
+const STORAGE_PREFIX = 'vimeo-hls-resume:';
+
+function getStorage(type) {
+  try {
+    return type === 'session' ? window.sessionStorage : window.localStorage;
+  } catch (error) {
+    // Storage disabled (private browsing, sandboxed iframes)
+    return null;
+  }
+}
+
+/**
+ * Saves the playback position per video and restores it on the next visit
+ */
+export class ResumePosition {
+  constructor(player, container, options = {}) {
+    this.player = player;
+    this.video = player.video;
+    this.container = container;
+    this.options = {
+      getKey: () => null,
+      storage: 'local',
+      prompt: false,
+      // Seconds between saves while playing
+      interval: 5,
+      // Positions before this aren't worth resuming
+      minTime: 5,
+      // Forget the position once this close to the end (seconds)
+      endThreshold: 10,
+      ...options
+    };
+
+    this.key = null;
+    this.loading = false;
+    this.skipRestore = false;
+    this.lastSave = 0;
+    this.promptElement = null;
+    this.handlers = [];
+
+    this.attachEventListeners();
+  }
+
+  /**
+   * Read a saved position
+   * @param {string} key - Video key, e.g. "vimeo:76979871"
+   * @param {string} storage - 'local' or 'session'
+   * @returns {number|null} Position in seconds
+   */
+  static get(key, storage = 'local') {
+    const store = getStorage(storage);
+    if (!key || !store) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(store.getItem(STORAGE_PREFIX + key));
+      return entry && typeof entry.time === 'number' ? entry.time : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Save a position
+   * @param {string} key - Video key
+   * @param {number} time - Position in seconds
+   * @param {string} storage - 'local' or 'session'
+   */
+  static set(key, time, storage = 'local') {
+    const store = getStorage(storage);
+    if (!key || !store) return;
+
+    try {
+      store.setItem(STORAGE_PREFIX + key, JSON.stringify({ time, updated: Date.now() }));
+    } catch (error) {
+      // Storage full; resuming is best effort
+    }
+  }
+
+  /**
+   * Forget a saved position
+   * @param {string} key - Video key
+   * @param {string} storage - 'local' or 'session'
+   */
+  static clear(key, storage = 'local') {
+    const store = getStorage(storage);
+    if (!key || !store) return;
+    store.removeItem(STORAGE_PREFIX + key);
+  }
+
+  /**
+   * Forget every saved position
+   * @param {string} storage - 'local' or 'session'
+   */
+  static clearAll(storage = 'local') {
+    const store = getStorage(storage);
+    if (!store) return;
+
+    Object.keys(store)
+      .filter(key => key.startsWith(STORAGE_PREFIX))
+      .forEach(key => store.removeItem(key));
+  }
+
+  listen(target, event, handler) {
+    target.addEventListener(event, handler);
+    this.handlers.push([target, event, handler]);
+  }
+
+  attachEventListeners() {
+    this.listen(this.video, 'loadedmetadata', () => this.restore());
+
+    // A new source is loading; don't save its zero position under the old key
+    this.listen(this.video, 'emptied', () => {
+      this.loading = true;
+    });
+
+    this.listen(this.video, 'timeupdate', () => {
+      if (this.video.seeking || Date.now() - this.lastSave < this.options.interval * 1000) return;
+      this.save();
+    });
+
+    // Playback that starts without an answer (the play button, autoplay, media
+    // keys) dismisses the prompt but keeps the saved position: save() only
+    // replaces it once this viewing passes minTime
+    this.listen(this.video, 'play', () => this.hidePrompt());
+
+    this.listen(this.video, 'pause', () => this.save());
+    this.listen(this.video, 'ended', () => this.clear());
+    this.listen(window, 'pagehide', () => this.save());
+  }
+
+  /**
+   * Seek to the saved position for the source that just loaded, or ask first
+   */
+  restore() {
+    const key = this.options.getKey();
+    this.loading = false;
+
+    // Reloads of the same source (expired URLs) keep their own position
+    if (key === this.key) return;
+    this.key = key;
+    this.hidePrompt();
+
+    if (this.skipRestore) {
+      this.skipRestore = false;
+      return;
+    }
+
+    const time = this.get();
+    const duration = this.video.duration;
+    if (time === null || (isFinite(duration) && time >= duration - this.options.endThreshold)) {
+      return;
+    }
+
+    if (this.options.prompt) {
+      this.showPrompt(time);
+    } else {
+      this.player.seek(time);
+    }
+  }
+
+  /**
+   * Don't restore the next video's position, e.g. when a link says where to start
+   */
+  skipNext() {
+    this.skipRestore = true;
+  }
+
+  save() {
+    // Keep the stored position until the visitor answers the prompt
+    if (!this.key || this.loading || this.promptElement) return;
+
+    const time = this.video.currentTime;
+    const duration = this.video.duration;
+    this.lastSave = Date.now();
+
+    if (isFinite(duration) && time >= duration - this.options.endThreshold) {
+      this.clear();
+    } else if (time >= this.options.minTime) {
+      ResumePosition.set(this.key, time, this.options.storage);
+    }
+  }
+
+  /**
+   * Saved position for the current video
+   * @returns {number|null} Position in seconds
+   */
+  get() {
+    return ResumePosition.get(this.key || this.options.getKey(), this.options.storage);
+  }
+
+  /**
+   * Forget the saved position for the current video
+   */
+  clear() {
+    ResumePosition.clear(this.key || this.options.getKey(), this.options.storage);
+  }
+
+  showPrompt(time) {
+    this.hidePrompt();
+
+    const prompt = document.createElement('div');
+    prompt.className = 'vimeo-hls-resume';
+    prompt.innerHTML = `
+      <button type="button" class="vimeo-hls-resume-continue"></button>
+      <button type="button" class="vimeo-hls-resume-restart">Start over</button>
+    `;
+    prompt.querySelector('.vimeo-hls-resume-continue').textContent = `Resume from ${formatTime(time)}`;
+
+    prompt.querySelector('.vimeo-hls-resume-continue').addEventListener('click', () => {
+      this.hidePrompt();
+      this.player.seek(time);
+      this.player.play();
+    });
+
+    prompt.querySelector('.vimeo-hls-resume-restart').addEventListener('click', () => {
+      this.hidePrompt();
+      this.clear();
+      this.player.seek(0);
+      this.player.play();
+    });
+
+    this.container.appendChild(prompt);
+    this.promptElement = prompt;
+  }
+
+  hidePrompt() {
+    if (this.promptElement) {
+      this.promptElement.remove();
+      this.promptElement = null;
+    }
+  }
+
+  destroy() {
+    this.save();
+    this.hidePrompt();
+    this.handlers.forEach(([target, event, handler]) => target.removeEventListener(event, handler));
+    this.handlers = [];
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Built-in theme presets, applied as .vimeo-hls-theme-<name> classes
+ */
+export const THEME_PRESETS = ['minimal', 'vimeo'];
+
+/**
+ * Apply a theme to a player container
+ * @param {HTMLElement} container - Player container
+ * @param {string|object} theme - Preset name, or theme variables like
+ *   { preset: 'vimeo', accent: '#ff0066', controlsBackground: 'none' }.
+ *   Keys become --vimeo-hls-* custom properties (accent -> --vimeo-hls-accent);
+ *   keys starting with -- are set as is.
+ */
+export function applyTheme(container, theme) {
+  if (!theme) return;
+
+  const { preset = null, ...variables } = typeof theme === 'string' ? { preset: theme } : theme;
+
+  if (preset) {
+    if (!THEME_PRESETS.includes(preset)) {
+      console.warn(`Unknown theme preset "${preset}". Available: ${THEME_PRESETS.join(', ')}`);
+    } else {
+      THEME_PRESETS.forEach(name => container.classList.remove(`vimeo-hls-theme-${name}`));
+      container.classList.add(`vimeo-hls-theme-${preset}`);
+    }
+  }
+
+  Object.keys(variables).forEach(key => {
+    const property = key.startsWith('--')
+      ? key
+      : `--vimeo-hls-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+    container.style.setProperty(property, variables[key]);
+  });
+}
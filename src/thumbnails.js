@@ -0,0 +1,185 @@
+import Hls from 'hls.js';
+import { parseVTT } from './captions.js';
+
+/**
+ * Parse a thumbnail WebVTT file. Each cue's text is an image URL, optionally
+ * with a sprite region: sprite.jpg#xywh=0,0,160,90
+ * @param {string} text - WebVTT file contents
+ * @param {string} baseUrl - URL the file was loaded from, for relative image paths
+ * @returns {Array<{startTime: number, endTime: number, url: string, x: number, y: number, width: number, height: number}>}
+ */
+export function parseThumbnailVTT(text, baseUrl) {
+  return parseVTT(text).map(cue => {
+    const [path, fragment] = cue.text.trim().split('#xywh=');
+    const [x, y, width, height] = (fragment || '').split(',').map(Number);
+
+    return {
+      startTime: cue.startTime,
+      endTime: cue.endTime,
+      url: new URL(path, baseUrl).href,
+      x: x || 0,
+      y: y || 0,
+      width: width || 0,
+      height: height || 0
+    };
+  });
+}
+
+/**
+ * Preview images from a WebVTT sprite sheet
+ */
+export class SpriteThumbnails {
+  constructor(url) {
+    this.url = url;
+    this.cues = [];
+    this.loading = null;
+  }
+
+  load() {
+    if (!this.loading) {
+      const baseUrl = new URL(this.url, document.baseURI).href;
+
+      this.loading = fetch(baseUrl)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Thumbnail file returned ${response.status}`);
+          }
+          return response.text();
+        })
+        .then(text => {
+          this.cues = parseThumbnailVTT(text, baseUrl);
+        })
+        .catch(error => {
+          console.warn('Could not load thumbnails:', error);
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Draw the preview for a time into an element
+   * @param {number} time - Time in seconds
+   * @param {HTMLElement} element - Thumbnail element
+   * @returns {boolean} Whether a preview was found
+   */
+  render(time, element) {
+    const cue = this.cues.find(c => c.startTime <= time && c.endTime > time);
+    if (!cue) {
+      return false;
+    }
+
+    element.style.backgroundImage = `url("${cue.url}")`;
+    element.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+    if (cue.width && cue.height) {
+      element.style.width = `${cue.width}px`;
+      element.style.height = `${cue.height}px`;
+    }
+    return true;
+  }
+
+  destroy() {
+    this.cues = [];
+  }
+}
+
+/**
+ * Preview frames captured from the stream with a hidden, muted secondary player.
+ *
+ * hls.js can't play I-frame-only playlists, so frames come from the lowest
+ * rendition instead. This is only used when the manifest advertises an I-frame
+ * playlist: such streams are packaged with short keyframe intervals, which keeps
+ * the preview seeks cheap. It still downloads a second copy of the stream
+ * (the lowest rendition), so it only runs with thumbnails: 'stream'.
+ */
+export class StreamThumbnails {
+  constructor(hlsUrl) {
+    this.hlsUrl = hlsUrl;
+    this.video = null;
+    this.hls = null;
+    this.canvas = null;
+    this.pendingTime = null;
+    this.seeking = false;
+  }
+
+  load() {
+    if (this.video || !Hls.isSupported()) return;
+
+    this.video = document.createElement('video');
+    this.video.muted = true;
+    this.video.preload = 'auto';
+    this.video.crossOrigin = 'anonymous';
+
+    this.hls = new Hls({
+      startLevel: 0,
+      autoStartLoad: true,
+      maxBufferLength: 2,
+      maxMaxBufferLength: 2,
+      capLevelToPlayerSize: false,
+      enableWorker: true
+    });
+    this.hls.on(Hls.Events.MANIFEST_PARSED, () => {
+      // Stay on the smallest rendition
+      this.hls.autoLevelCapping = 0;
+      this.hls.currentLevel = 0;
+    });
+    this.hls.loadSource(this.hlsUrl);
+    this.hls.attachMedia(this.video);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'vimeo-hls-tooltip-canvas';
+
+    this.video.addEventListener('loadedmetadata', () => this.seekNext());
+    this.video.addEventListener('seeked', () => this.handleSeeked());
+  }
+
+  render(time, element) {
+    if (!this.video) {
+      return false;
+    }
+
+    if (this.canvas.parentNode !== element) {
+      element.style.backgroundImage = '';
+      element.appendChild(this.canvas);
+    }
+
+    // Only one preview seek in flight; remember the latest request
+    this.pendingTime = time;
+    if (!this.seeking) {
+      this.seekNext();
+    }
+    return true;
+  }
+
+  seekNext() {
+    if (this.pendingTime === null || this.video.readyState < 1) return;
+    this.seeking = true;
+    this.video.currentTime = this.pendingTime;
+    this.pendingTime = null;
+  }
+
+  handleSeeked() {
+    const { videoWidth, videoHeight } = this.video;
+    if (videoWidth && videoHeight) {
+      this.canvas.width = videoWidth;
+      this.canvas.height = videoHeight;
+      this.canvas.getContext('2d').drawImage(this.video, 0, 0, videoWidth, videoHeight);
+    }
+
+    this.seeking = false;
+    this.seekNext();
+  }
+
+  destroy() {
+    if (this.hls) {
+      this.hls.destroy();
+      this.hls = null;
+    }
+    if (this.video) {
+      this.video.removeAttribute('src');
+      this.video = null;
+    }
+    if (this.canvas) {
+      this.canvas.remove();
+    }
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Parse a time like 90, "90", "90s", "1m30s", "1h2m3s" or "1:30"
+ * @param {number|string} value - Time in any of those forms
+ * @returns {number|null} Seconds, or null if it isn't a time
+ */
+export function parseTime(value) {
+  if (typeof value === 'number') {
+    return isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const text = value.trim().toLowerCase();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+
+  // 1:30 or 1:02:03
+  if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  // Vimeo and YouTube style: 1h2m3s, 1m30s, 90s
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (match && (match[1] || match[2] || match[3])) {
+    return Number(match[1] || 0) * 3600 + Number(match[2] || 0) * 60 + Number(match[3] || 0);
+  }
+
+  return null;
+}
+
+/**
+ * Format seconds for a link, Vimeo style: 1h2m3s, 1m30s, 45s
+ * @param {number} seconds - Time in seconds
+ * @returns {string}
+ */
+export function formatTimeParam(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+
+  return `${h ? `${h}h` : ''}${h || m ? `${m}m` : ''}${s}s`;
+}
+
+/**
+ * Read the start time from a URL's #t= fragment or ?t= parameter
+ * @param {string} url - Page URL
+ * @returns {number|null} Seconds, or null when the URL has no time
+ */
+export function getTimeFromUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  // The fragment may hold other parameters too: #t=90&autoplay=1
+  const hash = new URLSearchParams(parsed.hash.slice(1));
+  const time = hash.get('t') ?? parsed.searchParams.get('t');
+  return time === null ? null : parseTime(time);
+}
+
+/**
+ * Add a start time to a URL, replacing any time it already has. The time
+ * goes in the fragment (#t=1m30s) unless the fragment is used for
+ * something else, such as an in-page anchor.
+ * @param {string} url - Page URL
+ * @param {number} time - Start time in seconds
+ * @returns {string}
+ */
+export function buildShareUrl(url, time) {
+  const parsed = new URL(url);
+  const value = formatTimeParam(time);
+  const hash = parsed.hash.slice(1);
+
+  parsed.searchParams.delete('t');
+
+  if (!hash || new URLSearchParams(hash).has('t')) {
+    const params = new URLSearchParams(hash);
+    params.set('t', value);
+    parsed.hash = params.toString();
+  } else {
+    parsed.searchParams.set('t', value);
+  }
+
+  return parsed.toString();
+}
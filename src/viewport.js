@@ -0,0 +1,71 @@
+/**
+ * Watches a player container's position relative to the viewport.
+ * onNear fires once when it comes within rootMargin of the viewport;
+ * onVisible / onHidden fire as it crosses the visibility threshold.
+ * Without IntersectionObserver everything counts as near and visible.
+ */
+export class ViewportObserver {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      rootMargin: '200px',
+      threshold: 0.5,
+      onNear: null,
+      onVisible: null,
+      onHidden: null,
+      ...options
+    };
+
+    this.visible = false;
+    this.nearObserver = null;
+    this.visibilityObserver = null;
+
+    this.observe();
+  }
+
+  observe() {
+    const { onNear, onVisible, onHidden } = this.options;
+
+    if (typeof IntersectionObserver === 'undefined') {
+      this.visible = true;
+      if (onNear) onNear();
+      if (onVisible) onVisible();
+      return;
+    }
+
+    if (onNear) {
+      this.nearObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.nearObserver.disconnect();
+          this.nearObserver = null;
+          onNear();
+        }
+      }, { rootMargin: this.options.rootMargin });
+      this.nearObserver.observe(this.element);
+    }
+
+    if (onVisible || onHidden) {
+      this.visibilityObserver = new IntersectionObserver((entries) => {
+        const entry = entries[entries.length - 1];
+        const visible = entry.isIntersecting && entry.intersectionRatio >= this.options.threshold;
+        if (visible === this.visible) return;
+
+        this.visible = visible;
+        const callback = visible ? onVisible : onHidden;
+        if (callback) callback();
+      }, { threshold: this.options.threshold });
+      this.visibilityObserver.observe(this.element);
+    }
+  }
+
+  destroy() {
+    if (this.nearObserver) {
+      this.nearObserver.disconnect();
+      this.nearObserver = null;
+    }
+    if (this.visibilityObserver) {
+      this.visibilityObserver.disconnect();
+      this.visibilityObserver = null;
+    }
+  }
+}
@@ -1,3 +1,12 @@
+import { ERROR_CODES, PlayerError } from './errors.js';
+
+// Resolved stream metadata, keyed by video ID and privacy hash
+const memoryCache = new Map();
+const STORAGE_PREFIX = 'vimeo-hls:';
+
+// Treat URLs as expired a little early so playback doesn't start on a dying URL
+const EXPIRY_MARGIN = 60 * 1000;
+
 /**
  * Vimeo API integration to fetch HLS stream URLs
  */
@@ -26,7 +35,7 @@ export class VimeoAPI {
       const response = await fetch(apiUrl, { headers });
 
       if (!response.ok) {
-        throw new Error(`Failed to fetch video data: ${response.statusText}`);
+        throw PlayerError.fromStatus(response.status, `Failed to fetch video data: ${response.statusText}`);
       }
 
       const data = await response.json();
@@ -34,12 +43,17 @@ export class VimeoAPI {
       // Extract HLS URL from files
       const hlsFile = data.files?.find(file => file.quality === 'hls');
 
+      const textTracks = await VimeoAPI.getTextTracks(videoId, accessToken);
+      const chapters = await VimeoAPI.getChapters(videoId, accessToken);
+
       return {
         title: data.name,
         duration: data.duration,
         thumbnail: data.pictures?.sizes?.[0]?.link,
         hlsUrl: hlsFile?.link,
-        embedUrl: data.player_embed_url
+        embedUrl: data.player_embed_url,
+        textTracks,
+        chapters
       };
     } catch (error) {
       console.error('Error fetching Vimeo video data:', error);
@@ -47,6 +61,67 @@ export class VimeoAPI {
     }
   }
 
+  /**
+   * Fetch caption and subtitle tracks for a video from the Vimeo API
+   * @param {string} videoId - Vimeo video ID
+   * @param {string} accessToken - Vimeo access token
+   * @returns {Promise<Array>} Tracks as { src, language, label, kind, default }
+   */
+  static async getTextTracks(videoId, accessToken) {
+    try {
+      const response = await fetch(`https://api.vimeo.com/videos/${videoId}/texttracks`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Text tracks API returned ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      return (data.data || [])
+        .filter(track => track.link)
+        .map(track => ({
+          src: track.link,
+          language: track.language,
+          label: track.name || track.language,
+          kind: track.type === 'captions' ? 'captions' : 'subtitles',
+          default: false
+        }));
+    } catch (error) {
+      console.warn('Could not fetch text tracks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch chapters for a video from the Vimeo API
+   * @param {string} videoId - Vimeo video ID
+   * @param {string} accessToken - Vimeo access token
+   * @returns {Promise<Array>} Chapters as { title, startTime }
+   */
+  static async getChapters(videoId, accessToken) {
+    try {
+      const response = await fetch(`https://api.vimeo.com/videos/${videoId}/chapters`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Chapters API returned ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      return (data.data || []).map(chapter => ({
+        title: chapter.title,
+        startTime: chapter.timecode
+      }));
+    } catch (error) {
+      console.warn('Could not fetch chapters:', error);
+      return [];
+    }
+  }
+
   /**
    * Extract video ID from various Vimeo URL formats
    * @param {string} url - Vimeo URL
@@ -75,11 +150,98 @@ export class VimeoAPI {
   }
 
   /**
-   * Get poster image from Vimeo using oEmbed API (CORS-friendly, no token required)
+   * Extract the privacy hash from an unlisted video URL
+   * (vimeo.com/123/abc123 or player.vimeo.com/video/123?h=abc123)
+   * @param {string} url - Vimeo URL
+   * @returns {string|null} Privacy hash
+   */
+  static extractHash(url) {
+    const patterns = [
+      /[?&]h=([a-f0-9]+)/,
+      /vimeo\.com\/\d+\/([a-f0-9]+)/
+    ];
+
+    for (const pattern of patterns) {
+      const match = String(url).match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve video data through a custom resolver, such as the bundled server handler
+   * @param {string|Function} resolver - URL template with {id} and {hash} placeholders,
+   * or an async function (videoId, hash) returning the video data
    * @param {string} videoId - Vimeo video ID
-   * @returns {Promise<string|null>} Poster URL or null
+   * @param {string|null} hash - Privacy hash for unlisted videos
+   * @returns {Promise<object>} Object containing hlsUrl, fallbackUrls, posterUrl, title, textTracks and chapters
    */
-  static async getPosterFromOEmbed(videoId) {
+  static async resolve(resolver, videoId, hash = null) {
+    let data;
+
+    if (typeof resolver === 'function') {
+      data = await resolver(videoId, hash);
+    } else {
+      const url = resolver
+        .replace('{id}', encodeURIComponent(videoId))
+        .replace('{hash}', encodeURIComponent(hash || ''));
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        let message = response.statusText;
+        try {
+          message = (await response.json()).error || message;
+        } catch (error) {
+          // Not a JSON error body
+        }
+        throw PlayerError.fromStatus(response.status, `Resolver returned ${response.status}: ${message}`);
+      }
+
+      data = await response.json();
+    }
+
+    if (!data || !data.hlsUrl) {
+      throw new Error('Resolver did not return an hlsUrl');
+    }
+
+    return {
+      hlsUrl: data.hlsUrl,
+      fallbackUrls: data.fallbackUrls || [],
+      posterUrl: data.posterUrl || null,
+      title: data.title || null,
+      textTracks: data.textTracks || [],
+      chapters: data.chapters || []
+    };
+  }
+
+  /**
+   * List HLS manifest URLs from a player config, default CDN first
+   * @param {object} hlsFiles - config.request.files.hls
+   * @returns {string[]} Manifest URLs
+   */
+  static getCDNUrls(hlsFiles) {
+    const cdns = hlsFiles?.cdns || {};
+    const names = Object.keys(cdns);
+    const defaultCdn = hlsFiles?.default_cdn;
+
+    if (defaultCdn && cdns[defaultCdn]) {
+      names.sort((a, b) => (b === defaultCdn) - (a === defaultCdn));
+    }
+
+    return names
+      .map(name => cdns[name].url || cdns[name].avc_url)
+      .filter(Boolean);
+  }
+
+  /**
+   * Get oEmbed data for a video (CORS-friendly, no token required)
+   * @param {string} videoId - Vimeo video ID
+   * @returns {Promise<object|null>} oEmbed response or null
+   */
+  static async getOEmbed(videoId) {
     try {
       const oembedUrl = `https://vimeo.com/api/oembed.json?url=https://vimeo.com/${videoId}`;
       const response = await fetch(oembedUrl);
@@ -88,22 +250,90 @@ export class VimeoAPI {
         throw new Error(`oEmbed API returned ${response.status}`);
       }
 
-      const data = await response.json();
-
-      // Return the thumbnail URL (Vimeo provides this in oEmbed)
-      return data.thumbnail_url || null;
+      return await response.json();
     } catch (error) {
-      console.warn('Could not fetch poster from oEmbed:', error);
+      console.warn('Could not fetch oEmbed data:', error);
       return null;
     }
   }
 
   /**
-   * Get HLS URL and poster image directly from Vimeo's player config
+   * Get poster image from Vimeo using oEmbed API (CORS-friendly, no token required)
+   * @param {string} videoId - Vimeo video ID
+   * @returns {Promise<string|null>} Poster URL or null
+   */
+  static async getPosterFromOEmbed(videoId) {
+    const data = await VimeoAPI.getOEmbed(videoId);
+
+    // Return the thumbnail URL (Vimeo provides this in oEmbed)
+    return data?.thumbnail_url || null;
+  }
+
+  /**
+   * List the videos in a Vimeo showcase (album)
+   * @param {string} showcaseId - Showcase ID
+   * @param {object} options - { accessToken } for the Vimeo API, or { resolver }: a URL
+   * template with an {id} placeholder, or an async function (showcaseId) returning the items
+   * @returns {Promise<Array>} Items as { vimeoId, title, poster, duration }
+   */
+  static async getShowcaseVideos(showcaseId, options = {}) {
+    const { accessToken, resolver } = options;
+
+    if (typeof resolver === 'function') {
+      return resolver(showcaseId);
+    }
+
+    if (resolver) {
+      const response = await fetch(resolver.replace('{id}', encodeURIComponent(showcaseId)));
+      if (!response.ok) {
+        throw PlayerError.fromStatus(response.status, `Showcase resolver returned ${response.status}`);
+      }
+      const data = await response.json();
+      return data.items || [];
+    }
+
+    if (!accessToken) {
+      throw new PlayerError(ERROR_CODES.TOKEN_REQUIRED, 'Loading a Vimeo showcase requires a vimeoAccessToken or a playlist resolver');
+    }
+
+    // The API returns at most 100 videos a page; follow paging.next for the rest
+    const videos = [];
+    let url = `https://api.vimeo.com/albums/${showcaseId}/videos?per_page=100&fields=uri,name,duration,pictures,link,player_embed_url`;
+
+    while (url) {
+      const response = await fetch(url, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+
+      if (!response.ok) {
+        throw PlayerError.fromStatus(response.status, `Failed to fetch showcase: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      videos.push(...(data.data || []));
+      url = data.paging?.next ? `https://api.vimeo.com${data.paging.next}` : null;
+    }
+
+    return videos.map(video => {
+      const sizes = video.pictures?.sizes || [];
+      // Unlisted videos only play with their privacy hash, so keep it in the ID
+      const [id, uriHash] = video.uri.split('/').pop().split(':');
+      const hash = uriHash || VimeoAPI.extractHash(video.player_embed_url || video.link || '');
+      return {
+        vimeoId: hash ? `https://vimeo.com/${id}/${hash}` : id,
+        title: video.name,
+        poster: sizes.length ? sizes[sizes.length - 1].link : null,
+        duration: video.duration
+      };
+    });
+  }
+
+  /**
+   * Get HLS URL, poster image and title directly from Vimeo's player config
    * Note: This method is blocked by CORS in browsers and requires server-side implementation
    * or a Vimeo access token. Use getPosterFromOEmbed() for CORS-friendly poster fetching.
    * @param {string} videoId - Vimeo video ID
-   * @returns {Promise<object>} Object containing hlsUrl and posterUrl
+   * @returns {Promise<object>} Object containing hlsUrl, fallbackUrls, posterUrl, title and textTracks
    */
   static async getHLSFromPlayer(videoId) {
     try {
@@ -115,7 +345,8 @@ export class VimeoAPI {
       const configMatch = html.match(/var config = ({.*?});/s);
       if (configMatch) {
         const config = JSON.parse(configMatch[1]);
-        const hlsUrl = config.request?.files?.hls?.cdns?.akfire_interconnect_quic?.url;
+        // The other CDNs are kept for when the default one fails
+        const [hlsUrl, ...fallbackUrls] = VimeoAPI.getCDNUrls(config.request?.files?.hls);
 
         // Extract poster/thumbnail from video object
         // Vimeo provides multiple sizes, we'll get the largest one
@@ -127,10 +358,22 @@ export class VimeoAPI {
           posterUrl = thumbs['1280'] || thumbs['960'] || thumbs['640'] || thumbs.base;
         }
 
+        // Text track URLs in the player config are relative to player.vimeo.com
+        const textTracks = (config.request?.text_tracks || []).map(track => ({
+          src: new URL(track.url, 'https://player.vimeo.com').href,
+          language: track.lang,
+          label: track.label || track.lang,
+          kind: track.kind === 'captions' ? 'captions' : 'subtitles',
+          default: false
+        }));
+
         if (hlsUrl) {
           return {
             hlsUrl,
-            posterUrl
+            fallbackUrls,
+            posterUrl,
+            title: config.video?.title || null,
+            textTracks
           };
         }
       }
@@ -145,4 +388,106 @@ export class VimeoAPI {
       throw error;
     }
   }
+
+  /**
+   * Read the expiry time from a signed Vimeo CDN URL (exp=<unix seconds>)
+   * @param {string} url - HLS manifest URL
+   * @returns {number|null} Expiry as a millisecond timestamp
+   */
+  static getURLExpiry(url) {
+    const match = String(url).match(/[~?&\/]exp=(\d+)/);
+    return match ? Number(match[1]) * 1000 : null;
+  }
+
+  static cacheKey(videoId, hash = null) {
+    return `${videoId}:${hash || ''}`;
+  }
+
+  /**
+   * Get cached stream metadata if it hasn't expired
+   * @param {string} videoId - Vimeo video ID
+   * @param {string|null} hash - Privacy hash for unlisted videos
+   * @param {object} options - { storage: 'memory' | 'session' }
+   * @returns {object|null} Object containing hlsUrl, posterUrl, title and textTracks
+   */
+  static getCached(videoId, hash = null, options = {}) {
+    const key = VimeoAPI.cacheKey(videoId, hash);
+    let entry = memoryCache.get(key);
+
+    if (!entry && options.storage === 'session') {
+      try {
+        entry = JSON.parse(sessionStorage.getItem(STORAGE_PREFIX + key));
+      } catch (error) {
+        entry = null;
+      }
+    }
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expires - EXPIRY_MARGIN <= Date.now()) {
+      VimeoAPI.invalidate(videoId, hash);
+      return null;
+    }
+
+    memoryCache.set(key, entry);
+    return entry.data;
+  }
+
+  /**
+   * Cache stream metadata until the signed URL expires or the TTL runs out
+   * @param {string} videoId - Vimeo video ID
+   * @param {string|null} hash - Privacy hash for unlisted videos
+   * @param {object} data - Object containing hlsUrl, posterUrl, title and textTracks
+   * @param {object} options - { storage: 'memory' | 'session', ttl: seconds }
+   */
+  static setCached(videoId, hash, data, options = {}) {
+    const ttl = (options.ttl || 3600) * 1000;
+    const urlExpiry = VimeoAPI.getURLExpiry(data.hlsUrl);
+    const expires = Math.min(Date.now() + ttl, urlExpiry || Infinity);
+    const key = VimeoAPI.cacheKey(videoId, hash);
+    const entry = { data, expires };
+
+    memoryCache.set(key, entry);
+
+    if (options.storage === 'session') {
+      try {
+        sessionStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+      } catch (error) {
+        // Storage full or unavailable (private browsing); the memory cache still works
+      }
+    }
+  }
+
+  /**
+   * Drop cached stream metadata for a video
+   * @param {string} videoId - Vimeo video ID
+   * @param {string|null} hash - Privacy hash for unlisted videos
+   */
+  static invalidate(videoId, hash = null) {
+    const key = VimeoAPI.cacheKey(videoId, hash);
+    memoryCache.delete(key);
+
+    try {
+      sessionStorage.removeItem(STORAGE_PREFIX + key);
+    } catch (error) {
+      // sessionStorage unavailable
+    }
+  }
+
+  /**
+   * Clear all cached stream metadata
+   */
+  static clearCache() {
+    memoryCache.clear();
+
+    try {
+      Object.keys(sessionStorage)
+        .filter(key => key.startsWith(STORAGE_PREFIX))
+        .forEach(key => sessionStorage.removeItem(key));
+    } catch (error) {
+      // sessionStorage unavailable
+    }
+  }
 }
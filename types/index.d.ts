@@ -0,0 +1,344 @@
+// Type definitions for vimeo-hls-player
+
+export type PlayerState = 'idle' | 'loading' | 'ready' | 'playing' | 'paused' | 'buffering' | 'ended' | 'error';
+
+export type ErrorCode =
+  | 'VIMEO_PRIVATE'
+  | 'VIMEO_NOT_FOUND'
+  | 'TOKEN_REQUIRED'
+  | 'SOURCE_EXPIRED'
+  | 'NO_STREAM'
+  | 'PLAYLIST_EMPTY'
+  | 'NETWORK'
+  | 'MEDIA'
+  | 'UNSUPPORTED'
+  | 'AUTOPLAY_BLOCKED'
+  | 'ABORTED'
+  | 'UNKNOWN';
+
+// Available at runtime as VimeoHLSPlayer.PlayerError
+declare class PlayerError extends Error {
+  constructor(code: ErrorCode, message?: string, options?: { fatal?: boolean; cause?: Error; details?: unknown });
+  readonly code: ErrorCode;
+  readonly fatal: boolean;
+  readonly cause: Error | null;
+  /** Raw hls.js error data, HTTP status and the like */
+  readonly details: unknown;
+  readonly title: string;
+  readonly retryable: boolean;
+  static from(error: unknown, code?: ErrorCode): PlayerError;
+}
+
+export type { PlayerError };
+
+/** Passed to every listener as the second argument */
+export interface EventDetail {
+  type: string;
+  state: PlayerState;
+  currentTime: number;
+  duration: number;
+  paused: boolean;
+  muted: boolean;
+  volume: number;
+  playbackRate: number;
+  /** The DOM event, for video element events */
+  originalEvent: Event | null;
+}
+
+export interface Quality {
+  index: number;
+  height: number;
+  width: number;
+  bitrate: number;
+  label: string;
+}
+
+export interface QualityState {
+  /** -1 in auto mode */
+  level: number;
+  auto: boolean;
+  /** Level being played, -1 if unknown */
+  playing: number;
+}
+
+export interface Chapter {
+  index: number;
+  title: string;
+  startTime: number;
+  endTime: number;
+}
+
+export interface TextTrack {
+  id: number;
+  label: string;
+  language: string;
+  kind: string;
+  source: 'hls' | 'native' | 'external';
+}
+
+export interface Clip {
+  start: number;
+  /** The duration when the clip runs to the end (NaN until it's known) */
+  end: number;
+}
+
+export interface LoopRange {
+  start: number;
+  /** null while waiting for B */
+  end: number | null;
+}
+
+export interface CaptionTrack {
+  src: string;
+  language?: string;
+  label?: string;
+  kind?: 'subtitles' | 'captions';
+  default?: boolean;
+}
+
+export interface PlaylistItem {
+  vimeoId?: string | null;
+  hlsUrl?: string | null;
+  title?: string | null;
+  poster?: string | null;
+  captions?: CaptionTrack[];
+  chapters?: Array<{ title: string; startTime: number }>;
+  accessToken?: string;
+}
+
+export interface LoadSource extends PlaylistItem {
+  /** Seconds or "1m30s" to start from */
+  startTime?: number | string;
+}
+
+export interface AnalyticsEvent {
+  type: string;
+  videoId: string | null;
+  title: string | null;
+  url: string | null;
+  currentTime: number;
+  duration: number;
+  percent: number;
+  timestamp: number;
+  data: Record<string, unknown>;
+}
+
+type MediaEventName =
+  | 'loadstart' | 'progress' | 'suspend' | 'abort' | 'emptied' | 'stalled' | 'loadedmetadata' | 'loadeddata'
+  | 'canplay' | 'canplaythrough' | 'durationchange' | 'resize' | 'play' | 'playing' | 'pause' | 'waiting'
+  | 'seeking' | 'seeked' | 'timeupdate' | 'volumechange' | 'ended';
+
+/**
+ * Event name -> data passed as the listener's first argument.
+ * Media events pass the DOM event; events without data of their own pass the EventDetail.
+ */
+export type PlayerEventMap = { [K in MediaEventName]: Event } & {
+  ready: EventDetail;
+  sourcechange: { src: string; previous: string | null };
+  statechange: { state: PlayerState; previous: PlayerState };
+  error: PlayerError;
+  ratechange: number;
+  fullscreenchange: boolean;
+  qualitiesloaded: Quality[];
+  qualitychange: QualityState;
+  texttracksloaded: TextTrack[];
+  texttrackchange: TextTrack | null;
+  sourceexpired: unknown;
+  chaptersloaded: Chapter[];
+  chapterchange: Chapter | undefined;
+  /** index is -1 for videos passed to load() */
+  itemchange: { index: number; item: PlaylistItem };
+  analytics: AnalyticsEvent;
+  pipchange: boolean;
+  remoteavailabilitychange: boolean;
+  clipchange: Clip;
+  loopchange: LoopRange | null;
+};
+
+export type PlayerEventName = keyof PlayerEventMap;
+
+/** An event name, optionally with a namespace: "play.myplugin" */
+export type NamespacedEvent<K extends string = PlayerEventName> = K | `${K}.${string}`;
+
+export type PlayerEventListener<K extends PlayerEventName> = (data: PlayerEventMap[K], detail: EventDetail) => void;
+
+/** hls.js events, forwarded under their Hls.Events names (hlsFragLoaded, hlsLevelSwitched, ...) */
+export type HlsEventListener = (data: any, detail: EventDetail) => void;
+
+export interface CustomButton {
+  id?: string;
+  label?: string;
+  /** SVG or HTML */
+  icon?: string;
+  /** Plain text shown instead of an icon */
+  text?: string;
+  zone?: 'top' | 'overlay' | 'left' | 'right';
+  index?: number;
+  className?: string;
+  onClick?: (player: VimeoHLSPlayer, event: MouseEvent) => void;
+}
+
+export interface ControlsLayout {
+  top?: string[];
+  overlay?: string[];
+  left?: string[];
+  right?: string[];
+}
+
+export interface ControlComponent {
+  element: HTMLElement;
+  destroy?(): void;
+}
+
+export type ControlComponentClass = new (player: VimeoHLSPlayer, controls: unknown) => ControlComponent;
+
+export interface PlayerOptions {
+  vimeoId?: string | null;
+  hlsUrl?: string | null;
+  vimeoAccessToken?: string | null;
+  resolver?: string | ((videoId: string, hash: string | null) => Promise<object>) | null;
+  cache?: boolean | { storage?: 'session'; ttl?: number };
+  title?: string | null;
+  artist?: string | null;
+  autoplay?: boolean;
+  muted?: boolean;
+  controls?: boolean;
+  aspectRatio?: string;
+  poster?: string | null;
+  keyboard?: boolean | { seekStep?: number; volumeStep?: number; keys?: Record<string, string | string[] | null> };
+  theme?: string | Record<string, string> | null;
+  icons?: Record<string, string>;
+  controlsLayout?: ControlsLayout | null;
+  buttons?: CustomButton[];
+  captions?: CaptionTrack[];
+  chapters?: Array<{ title: string; startTime: number }>;
+  /** WebVTT sprite URL, or 'stream' for frames captured from the stream */
+  thumbnails?: string | 'stream' | null;
+  playbackRate?: number;
+  playbackRates?: number[];
+  /** Seconds or "1m30s" */
+  startTime?: number | string;
+  endTime?: number | string | null;
+  /** Start at the #t= or ?t= time in the page URL (default false) */
+  deepLink?: boolean;
+  frameRate?: number | null;
+  playlist?: Array<PlaylistItem | string> | {
+    items?: Array<PlaylistItem | string>;
+    showcase?: string;
+    resolver?: string | ((showcaseId: string) => Promise<PlaylistItem[]>);
+    autoAdvance?: boolean;
+    loop?: boolean;
+    panel?: boolean;
+  } | null;
+  analytics?: boolean | Array<string | object | ((event: AnalyticsEvent) => void)> | object;
+  resume?: boolean | { prompt?: boolean; storage?: 'local' | 'session'; interval?: number; minTime?: number; endThreshold?: number };
+  lazy?: boolean | { rootMargin?: string };
+  autoplayVisible?: boolean;
+  pauseOffscreen?: boolean;
+  autoPictureInPicture?: boolean;
+  mediaSession?: boolean;
+  exclusive?: boolean;
+  group?: string;
+  maxRetries?: number;
+  retryDelay?: number;
+  onError?: ((error: PlayerError, player: VimeoHLSPlayer) => void) | null;
+  /** Silent, looping video that covers its container */
+  background?: boolean | { pauseButton?: boolean };
+}
+
+export default class VimeoHLSPlayer {
+  constructor(container: string | HTMLElement, options?: PlayerOptions);
+
+  readonly container: HTMLElement;
+  readonly videoElement: HTMLVideoElement;
+  readonly options: PlayerOptions;
+  /** Resolves once the first video can play; rejects with a PlayerError if it fails to load */
+  readonly ready: Promise<VimeoHLSPlayer>;
+
+  static readonly ERROR_CODES: { [K in ErrorCode]: K };
+  static readonly PlayerError: typeof PlayerError;
+
+  static getAll(): VimeoHLSPlayer[];
+  static get(element: string | HTMLElement): VimeoHLSPlayer | null;
+  static pauseAll(group?: string | null): void;
+  static getGroup(group: string): VimeoHLSPlayer[];
+  static getPlaying(group?: string | null): VimeoHLSPlayer[];
+  static on(event: 'play' | 'pause', callback: (detail: { player: VimeoHLSPlayer; group: string }) => void): void;
+  static on(event: 'activechange', callback: (detail: { playing: boolean; players: VimeoHLSPlayer[] }) => void): void;
+  static off(event: 'play' | 'pause' | 'activechange', callback: (...args: any[]) => void): void;
+  static clearCache(): void;
+  static clearSavedPositions(storage?: 'local' | 'session'): void;
+  static registerComponent(name: string, Component: ControlComponentClass): void;
+  static initAll(root?: ParentNode): VimeoHLSPlayer[];
+
+  /** Switch to another video in place; resolves once it can play */
+  load(source: LoadSource | string): Promise<VimeoHLSPlayer>;
+
+  play(): Promise<void>;
+  pause(): void;
+  togglePlay(): void;
+  seek(time: number): void;
+  setVolume(volume: number): void;
+  getVolume(): number;
+  toggleMute(): boolean;
+  getCurrentTime(): number;
+  getDuration(): number;
+  getState(): PlayerState;
+  getPlaybackRate(): number;
+  setPlaybackRate(rate: number): void;
+
+  getQualities(): Quality[];
+  getQuality(): QualityState;
+  setQuality(level: number): void;
+
+  getTextTracks(): TextTrack[];
+  getTextTrack(): number;
+  setTextTrack(id: number): Promise<void>;
+
+  getChapters(): Chapter[];
+  getCurrentChapter(): number;
+  setChapter(index: number): void;
+  setChapters(chapters: Array<{ title: string; startTime: number }>): void;
+
+  setClip(start?: number | string, end?: number | string | null): void;
+  getClip(): Clip;
+  setLoop(start: number | string, end?: number | string | null): void;
+  clearLoop(): void;
+  getLoop(): LoopRange | null;
+  /** True while a clip or A–B loop wrap (not a real seek) is in progress */
+  isWrapping(): boolean;
+  /** Mark A, then B, then turn the loop off */
+  cycleLoop(): void;
+  stepFrame(direction?: 1 | -1): void;
+  getShareUrl(time?: number): string;
+  copyShareUrl(time?: number): Promise<string>;
+
+  getPlaylist(): PlaylistItem[];
+  getPlaylistIndex(): number;
+  playIndex(index: number): Promise<void>;
+  next(): Promise<void> | void;
+  previous(): Promise<void> | void;
+
+  enterPictureInPicture(): Promise<boolean>;
+  exitPictureInPicture(): Promise<void>;
+  isPictureInPicture(): boolean;
+
+  getSavedPosition(): number | null;
+  clearSavedPosition(): void;
+
+  setTheme(theme: string | Record<string, string>): void;
+  addButton(button: CustomButton): HTMLButtonElement | null;
+  removeButton(id: string): void;
+
+  getError(): PlayerError | null;
+  retry(): Promise<void>;
+
+  on<K extends PlayerEventName>(event: NamespacedEvent<K>, callback: PlayerEventListener<K>): void;
+  on(event: `hls${string}`, callback: HlsEventListener): void;
+  once<K extends PlayerEventName>(event: NamespacedEvent<K>, callback: PlayerEventListener<K>): void;
+  once(event: `hls${string}`, callback: HlsEventListener): void;
+  /** off('play', fn), off('play.myplugin') or off('.myplugin') */
+  off(event: string, callback?: (...args: any[]) => void): void;
+
+  destroy(): void;
+}